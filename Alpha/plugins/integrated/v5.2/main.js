@@ -1,13 +1,68 @@
 const { Plugin } = require("@lumiastream/plugin");
 const http = require("http");
+const https = require("https");
+const crypto = require("crypto");
+const net = require("net");
 
-const EVENT_MIN = 0;
-const EVENT_MAX = 71;
-const KEY_COUNT = 36;
+// Matrix layout: events 0..keyCount-1 are short presses, keyCount..2*keyCount-1 are long.
+// Defaults match the 6x6 test matrix; the device may advertise its own rows/cols.
+const DEFAULT_ROWS = 6;
+const DEFAULT_COLS = 6;
+const MAX_KEY_COUNT = 64; // 8x8
 
 // If the device reboots, its seq counter restarts at 1.
-// Allow seq reset after a short silence so events start working immediately.
+// Preferred detection: a changed bootId, or uptimeMs going backwards (firmware 0.0.4+ sends uptimeMs).
+// Fallback for payloads with neither: a seq that didn't advance after this much silence.
 const SEQ_RESET_GAP_MS = 5000;
+// Retried events carry the uptime of their first attempt, so allow this much backwards drift.
+const UPTIME_SLACK_MS = 5000;
+
+// Dedupe remembers this many recent seq numbers per device, so a retried older event that
+// arrives after a newer one is still processed once.
+const SEQ_WINDOW_SIZE = 64;
+
+// Alert fired for each hold tier (1 = shortest). Tiers 1/2 keep the original short/long alerts.
+const ALERT_BY_TIER = [null, "matrix_6x6_short", "matrix_6x6_long", "matrix_hold_3", "matrix_hold_4"];
+const MAX_HOLD_TIERS = 4;
+// Kind names when the firmware decides short/long (event >= keyCount).
+const FIRMWARE_TIERS = [{ name: "short", minMs: 0 }, { name: "long", minMs: 0 }];
+
+// Dial / fader ids accepted (0..N-1).
+const MAX_DIALS = 8;
+const MAX_FADERS = 8;
+
+// A fader that stopped sending readings for this long gets its last raw value published (smoothing lags behind).
+const FADER_SETTLE_MS = 300;
+
+// Auto-repeat stops after this long in case the "up" never arrives.
+const KEY_REPEAT_MAX_MS = 30000;
+
+// Signed requests: remembered nonces (each kept for twice the skew window).
+const NONCE_CACHE_MAX = 10000;
+
+// Pairing: how long a code stays valid, and how many unconfirmed requests are kept.
+const PAIR_CODE_TTL_MS = 5 * 60 * 1000;
+const MAX_PENDING_PAIRS = 8;
+// New pairing requests (each one toasts and fires an alert) accepted per minute, from all devices together.
+const MAX_PAIR_REQUESTS_PER_MIN = 5;
+
+// Listener rate limits count requests per fixed window.
+const RATE_WINDOW_MS = 60 * 1000;
+const REJECTION_REASONS = ["not_allowed", "banned", "rate_limited", "unauthorized", "invalid", "not_found", "pairing"];
+
+// Audit log of rejected requests: ring buffer size, stored body length, and the toast interval.
+const AUDIT_LOG_SIZE = 100;
+const AUDIT_BODY_MAX = 200;
+const AUDIT_TOAST_INTERVAL_MS = 30000;
+
+// Listener start retries: doubling delay between these bounds. The fallback range is capped so a typo
+// can't scan thousands of ports.
+const LISTEN_RETRY_MIN_MS = 2000;
+const LISTEN_RETRY_MAX_MS = 60000;
+const MAX_FALLBACK_PORTS = 20;
+
+// POST /events: one seq window's worth of buffered presses per request.
+const MAX_BATCH_EVENTS = SEQ_WINDOW_SIZE;
 
 // ---------------- helpers (no AbortController) ----------------
 function withTimeout(promise, timeoutMs) {
@@ -58,6 +113,133 @@ async function httpPostJson(url, obj, timeoutMs) {
   return body;
 }
 
+// "192.168.1.0/24, 10.0.0.5" (commas or new lines) -> { list: net.BlockList, invalid: [...] } or null when blank.
+function parseAllowedIps(text) {
+  const entries = String(text ?? "").split(/[\s,]+/).map((e) => e.trim()).filter(Boolean);
+  if (!entries.length) return null;
+
+  const list = new net.BlockList();
+  const invalid = [];
+  for (const entry of entries) {
+    const [addr, prefix, extra] = entry.split("/");
+    const type = net.isIPv4(addr) ? "ipv4" : net.isIPv6(addr) ? "ipv6" : "";
+    const bits = Number(prefix);
+    const maxBits = type === "ipv4" ? 32 : 128;
+
+    if (!type || extra !== undefined) invalid.push(entry);
+    else if (prefix === undefined) list.addAddress(addr, type);
+    else if (Number.isInteger(bits) && bits >= 0 && bits <= maxBits) list.addSubnet(addr, bits, type);
+    else invalid.push(entry);
+  }
+  return { list, invalid };
+}
+
+// "8790-8795, 8799" -> [8790, ..., 8795, 8799] (valid, unique, at most MAX_FALLBACK_PORTS).
+function parsePortList(text) {
+  const ports = [];
+  for (const part of String(text ?? "").split(/[\s,]+/).filter(Boolean)) {
+    const m = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!m) continue;
+    const from = Number(m[1]);
+    const to = m[2] === undefined ? from : Number(m[2]);
+    for (let port = from; port <= to && ports.length < MAX_FALLBACK_PORTS; port++) {
+      if (port > 0 && port <= 65535 && !ports.includes(port)) ports.push(port);
+    }
+  }
+  return ports;
+}
+
+// Listen error -> short reason for listener_status / toasts.
+function describeListenError(error, port, host) {
+  const code = error?.code;
+  if (code === "EADDRINUSE") return `port ${port} is already in use`;
+  if (code === "EACCES") return `no permission to use port ${port}`;
+  if (code === "EADDRNOTAVAIL") return `bind address ${host} is not on this PC`;
+  return `port ${port}: ${error instanceof Error ? error.message : String(error)}`;
+}
+
+// Constant-time compare; hashing first means different lengths don't short-circuit either.
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// HMAC-SHA256(secret, "<timestamp>.<nonce>.<raw body>") as lowercase hex.
+function signRequest(secret, timestamp, nonce, rawBody) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${nonce}.${rawBody}`).digest("hex");
+}
+
+// ---------------- self-signed certificate (minimal DER encoder) ----------------
+function derLength(n) {
+  if (n < 0x80) return Buffer.from([n]);
+  const bytes = [];
+  for (let v = n; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function der(tag, ...parts) {
+  const body = Buffer.concat(parts);
+  return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+}
+
+const derSeq = (...parts) => der(0x30, ...parts);
+
+// Positive integer from big-endian bytes (a leading 0 keeps the sign bit clear).
+function derInt(bytes) {
+  return der(0x02, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+}
+
+function derOid(oid) {
+  const [first, second, ...rest] = oid.split(".").map(Number);
+  const out = [first * 40 + second];
+  for (const n of rest) {
+    const chunk = [n & 0x7f];
+    for (let v = n >>> 7; v > 0; v >>>= 7) chunk.unshift((v & 0x7f) | 0x80);
+    out.push(...chunk);
+  }
+  return der(0x06, Buffer.from(out));
+}
+
+// UTCTime "YYMMDDHHMMSSZ" (fine until 2049).
+function derUtcTime(date) {
+  return der(0x17, Buffer.from(date.toISOString().replace(/[-:T]/g, "").slice(2, 14) + "Z"));
+}
+
+function derName(commonName) {
+  return derSeq(der(0x31, derSeq(derOid("2.5.4.3"), der(0x0c, Buffer.from(commonName, "utf8")))));
+}
+
+// RSA-2048 key + self-signed X.509 v3 (sha256WithRSAEncryption, CA:false), 10 years. Returns PEM strings.
+function createSelfSignedCert(commonName) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const sigAlg = derSeq(derOid("1.2.840.113549.1.1.11"), der(0x05));
+
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+
+  const now = Date.now();
+  const tbs = derSeq(
+    der(0xa0, derInt(Buffer.from([2]))),
+    derInt(serial),
+    sigAlg,
+    derName(commonName),
+    derSeq(derUtcTime(new Date(now - 86400000)), derUtcTime(new Date(now + 10 * 365 * 86400000))),
+    derName(commonName),
+    publicKey.export({ type: "spki", format: "der" }),
+    der(0xa3, derSeq(derSeq(derOid("2.5.29.19"), der(0x04, derSeq()))))
+  );
+
+  const signature = crypto.sign("sha256", tbs, privateKey);
+  const cert = derSeq(tbs, sigAlg, der(0x03, Buffer.concat([Buffer.from([0]), signature])));
+
+  const body = cert.toString("base64").match(/.{1,64}/g).join("\n");
+  return {
+    cert: `-----BEGIN CERTIFICATE-----\n${body}\n-----END CERTIFICATE-----\n`,
+    key: privateKey.export({ type: "pkcs8", format: "pem" }),
+  };
+}
+
 function safeNowMs() {
   return Date.now();
 }
@@ -66,40 +248,408 @@ function msToAgeSeconds(ms) {
   return Math.max(0, Math.floor(ms / 1000));
 }
 
+// 3725000 -> "1h 2m", 59000 -> "59s"
+function formatUptime(ms) {
+  const sec = msToAgeSeconds(ms);
+  const days = Math.floor(sec / 86400);
+  const hours = Math.floor((sec % 86400) / 3600);
+  const minutes = Math.floor((sec % 3600) / 60);
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${minutes}m`;
+  if (minutes) return `${minutes}m ${sec % 60}s`;
+  return `${sec}s`;
+}
+
+// Returns { rows, cols, keyCount } or null if the size is unusable.
+function normalizeLayout(rows, cols) {
+  const r = Number(rows);
+  const c = Number(cols);
+  if (!Number.isInteger(r) || !Number.isInteger(c) || r < 1 || c < 1) return null;
+  if (r * c > MAX_KEY_COUNT) return null;
+  return { rows: r, cols: c, keyCount: r * c };
+}
+
 function parseKeyLabels(text) {
   const raw = typeof text === "string" ? text : "";
   const lines = raw.split(/\r?\n/).map((l) => l.trim());
-  // Keep exactly 36 entries (pad with empty strings).
-  const out = new Array(36).fill("");
-  for (let i = 0; i < Math.min(36, lines.length); i++) out[i] = lines[i];
+  // Keep exactly MAX_KEY_COUNT entries (pad with empty strings); the layout decides how many are used.
+  const out = new Array(MAX_KEY_COUNT).fill("");
+  for (let i = 0; i < Math.min(MAX_KEY_COUNT, lines.length); i++) out[i] = lines[i];
+  return out;
+}
+
+// ---------------- seq window (dedupe) ----------------
+function createSeqWindow() {
+  return { maxSeq: 0, seen: new Set() };
+}
+
+// "new" (newest so far), "late" (older but never processed), "duplicate" (already processed)
+// or "stale" (too old to tell; dropped).
+function classifySeq(win, seq) {
+  if (win.seen.has(seq)) return "duplicate";
+  if (seq > win.maxSeq) return "new";
+  if (seq > win.maxSeq - SEQ_WINDOW_SIZE) return "late";
+  return "stale";
+}
+
+function markSeqSeen(win, seq) {
+  win.seen.add(seq);
+  if (seq > win.maxSeq) win.maxSeq = seq;
+
+  const floor = win.maxSeq - SEQ_WINDOW_SIZE;
+  for (const s of win.seen) {
+    if (s <= floor) win.seen.delete(s);
+  }
+}
+
+// "0+5 = Scene swap" per line -> Map(canonical "0+5" -> label). Keys are sorted, so "5+0" is the same chord.
+function parseChords(text) {
+  const raw = typeof text === "string" ? text : "";
+  const out = new Map();
+  for (const line of raw.split(/\r?\n/)) {
+    const [combo, ...rest] = line.split("=");
+    const keys = chordKeysFrom(combo.split("+").map((k) => Number(k.trim())));
+    if (!keys) continue;
+    out.set(keys.join("+"), rest.join("=").trim());
+  }
+  return out;
+}
+
+// Sorted unique key indexes, or null if fewer than two valid keys.
+function chordKeysFrom(indexes) {
+  if (!indexes.every((k) => Number.isInteger(k) && k >= 0 && k < MAX_KEY_COUNT)) return null;
+  const keys = [...new Set(indexes)].sort((a, b) => a - b);
+  return keys.length >= 2 ? keys : null;
+}
+
+// "end_stream = 1,1,4 | 3000 | suppress" per line. Steps are key indexes, "4L" for a long press.
+// The window (ms, first to last press) and "suppress" are optional.
+function parseCombos(text, defaultWindowMs) {
+  const raw = typeof text === "string" ? text : "";
+  const out = [];
+  for (const line of raw.split(/\r?\n/)) {
+    const eq = line.indexOf("=");
+    if (eq <= 0) continue;
+
+    const name = line.slice(0, eq).trim();
+    const [stepsPart, ...options] = line.slice(eq + 1).split("|").map((p) => p.trim());
+    const steps = stepsPart.split(/[\s,]+/).filter(Boolean).map((t) => t.toUpperCase());
+    if (!name || steps.length < 2 || !steps.every((t) => /^\d+L?$/.test(t))) continue;
+
+    const windowOpt = options.find((o) => /^\d+$/.test(o));
+    out.push({
+      name,
+      steps: steps.map((t) => String(parseInt(t, 10)) + (t.endsWith("L") ? "L" : "")),
+      windowMs: windowOpt ? Number(windowOpt) : defaultWindowMs,
+      suppress: options.some((o) => o.toLowerCase() === "suppress"),
+    });
+  }
+  return out;
+}
+
+function comboToken(press) {
+  return `${press.keyIndex}${press.tier >= 2 ? "L" : ""}`;
+}
+
+// "tap = 0, hold = 500, extra_long = 3000" (commas or new lines) -> tiers sorted by minimum held ms.
+// Returns null unless at least two valid tiers are given.
+function parseHoldTiers(text) {
+  const raw = typeof text === "string" ? text : "";
+  const tiers = [];
+  for (const part of raw.split(/[\r\n,]+/)) {
+    const [name, ms] = part.split("=").map((p) => p.trim());
+    const minMs = Number(ms);
+    if (!/^[a-z0-9_]+$/i.test(name || "") || !Number.isFinite(minMs) || minMs < 0) continue;
+    tiers.push({ name, minMs });
+  }
+  tiers.sort((a, b) => a.minMs - b.minMs);
+  return tiers.length >= 2 ? tiers.slice(0, MAX_HOLD_TIERS) : null;
+}
+
+// JSON settings may arrive as a parsed value or as raw text.
+function readJsonSetting(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function labelList(value) {
+  const out = new Array(MAX_KEY_COUNT).fill("");
+  if (!Array.isArray(value)) return out;
+  for (let i = 0; i < Math.min(MAX_KEY_COUNT, value.length); i++) out[i] = String(value[i] ?? "").trim();
+  return out;
+}
+
+// [{ name, short?, long?, tier3?, tier4?, switch?: { "35L": "next" | "prev" | <number> | <name> } }, ...]
+// Layer 1 without its own label lists uses the Key labels settings.
+function parseLayers(value) {
+  const raw = readJsonSetting(value, []);
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((l) => l && typeof l === "object")
+    .map((l, i) => ({
+      name: String(l.name ?? `Layer ${i + 1}`),
+      labels: [null, l.short, l.long, l.tier3, l.tier4].map((list) => (Array.isArray(list) ? labelList(list) : null)),
+      switches: l.switch && typeof l.switch === "object" ? l.switch : {},
+    }));
+}
+
+// Variation value for a key press: "5", or "L2:K05" once layers are configured.
+function keyVariationValue(keyIndex, layerNumber, layered) {
+  return layered ? `L${layerNumber}:K${String(keyIndex).padStart(2, "0")}` : String(keyIndex);
+}
+
+// Toggle ids: "3" for key 3 on layer 1 (or without layers), "L2:K05" for key 5 on layer 2.
+function toggleIdFor(keyIndex, layerNumber) {
+  return layerNumber > 1 ? keyVariationValue(keyIndex, layerNumber, true) : String(keyIndex);
+}
+
+// Accepts "3", "L2:K05" or "2:5"; returns the canonical toggle id or "".
+function normalizeToggleId(text) {
+  const t = String(text ?? "").trim();
+  const layered = /^L?(\d+):K?(\d+)$/i.exec(t);
+  if (layered) return toggleIdFor(Number(layered[2]), Number(layered[1]));
+  return /^\d+$/.test(t) ? String(Number(t)) : "";
+}
+
+// Lumia variable holding a toggle's state: key_3_state, layer_2_key_5_state.
+function toggleVariableName(id) {
+  const layered = /^L(\d+):K(\d+)$/.exec(id);
+  return layered ? `layer_${layered[1]}_key_${Number(layered[2])}_state` : `key_${id}_state`;
+}
+
+// "3 = Mic mute" / "L2:K05 = BRB" per line -> Map(toggle id -> label)
+function parseToggleKeys(text) {
+  const raw = typeof text === "string" ? text : "";
+  const out = new Map();
+  for (const line of raw.split(/\r?\n/)) {
+    const [idPart, ...rest] = line.split("=");
+    const id = normalizeToggleId(idPart);
+    if (id) out.set(id, rest.join("=").trim());
+  }
+  return out;
+}
+
+const MACRO_STEP_TYPES = new Set(["display", "status", "clear", "variable", "alert", "wait"]);
+
+// { "3": [steps], "3L": [steps], "L2:K05": [steps] } -> Map(macro key -> steps). "L" suffix = long press.
+// Steps: { type: "display" | "status", text } | { type: "clear" } | { type: "variable", name, value }
+//        | { type: "alert", alert, value? } | { type: "wait", ms }
+function parseMacros(value) {
+  const raw = readJsonSetting(value, {});
+  const out = new Map();
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+
+  for (const [key, steps] of Object.entries(raw)) {
+    const long = /\dL$/i.test(key);
+    const id = normalizeToggleId(long ? key.slice(0, -1) : key);
+    if (!id || !Array.isArray(steps)) continue;
+
+    const valid = steps.filter((step) => step && MACRO_STEP_TYPES.has(step.type));
+    if (valid.length) out.set(`${id}${long ? "L" : ""}`, valid);
+  }
+  return out;
+}
+
+// { "5": [{ if: [conditions], alert?, value? }, ...] } -> Map(macro-style key -> rules). A rule without
+// "if" always matches (use it last as the "else").
+function parseRules(value) {
+  const raw = readJsonSetting(value, {});
+  const out = new Map();
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+
+  for (const [key, rules] of Object.entries(raw)) {
+    const long = /\dL$/i.test(key);
+    const id = normalizeToggleId(long ? key.slice(0, -1) : key);
+    if (!id || !Array.isArray(rules)) continue;
+
+    const valid = rules.filter((r) => r && typeof r === "object" && (r.if === undefined || Array.isArray(r.if)));
+    if (valid.length) out.set(`${id}${long ? "L" : ""}`, valid);
+  }
+  return out;
+}
+
+function toBool(v) {
+  if (typeof v === "boolean") return v;
+  const s = String(v ?? "").trim().toLowerCase();
+  return s !== "" && s !== "false" && s !== "0" && s !== "off" && s !== "no";
+}
+
+// Condition operators: equals, notEquals, contains, gt, lt, truthy (true/false).
+function testCondition(actual, cond) {
+  if (cond.equals !== undefined) {
+    return typeof cond.equals === "boolean" ? toBool(actual) === cond.equals : String(actual ?? "") === String(cond.equals);
+  }
+  if (cond.notEquals !== undefined) {
+    return typeof cond.notEquals === "boolean" ? toBool(actual) !== cond.notEquals : String(actual ?? "") !== String(cond.notEquals);
+  }
+  if (cond.contains !== undefined) return String(actual ?? "").toLowerCase().includes(String(cond.contains).toLowerCase());
+  if (cond.gt !== undefined) return Number(actual) > Number(cond.gt);
+  if (cond.lt !== undefined) return Number(actual) < Number(cond.lt);
+  if (cond.truthy !== undefined) return toBool(actual) === Boolean(cond.truthy);
+  return toBool(actual);
+}
+
+function macroKeyFor(press) {
+  return `${toggleIdFor(press.keyIndex, press.layer)}${press.tier >= 2 ? "L" : ""}`;
+}
+
+// Encoder payloads: {type:"dial", dial?:0, delta:-2} or {direction:"cw"|"ccw", steps?:1} for a turn,
+// {type:"dial", dial?:0, push:true} for a press. Returns null when it is neither.
+function parseDialEvent(body) {
+  const dial = Number(body?.dial ?? 0);
+  if (!Number.isInteger(dial) || dial < 0 || dial > MAX_DIALS - 1) return null;
+  if (body?.push === true) return { dial, delta: 0, isPush: true };
+
+  let delta = Number(body?.delta);
+  if (!Number.isInteger(delta)) {
+    const direction = String(body?.direction ?? "").toLowerCase();
+    const steps = Number.isInteger(Number(body?.steps)) && Number(body.steps) > 0 ? Number(body.steps) : 1;
+    if (direction === "cw") delta = steps;
+    else if (direction === "ccw") delta = -steps;
+    else return null;
+  }
+
+  return delta !== 0 && Math.abs(delta) <= 100 ? { dial, delta, isPush: false } : null;
+}
+
+// Fader payloads: {type:"fader", channel:0, value:0.42} with value normalized to 0..1.
+function parseFaderEvent(body) {
+  const channel = Number(body?.channel);
+  const value = Number(body?.value);
+  if (!Number.isInteger(channel) || channel < 0 || channel > MAX_FADERS - 1) return null;
+  if (!Number.isFinite(value) || value < 0 || value > 1) return null;
+  return { channel, value };
+}
+
+// "lumicon-abc = Main deck" per line -> Map(deviceId -> friendly name)
+function parseDeviceNames(text) {
+  const raw = typeof text === "string" ? text : "";
+  const out = new Map();
+  for (const line of raw.split(/\r?\n/)) {
+    const eq = line.indexOf("=");
+    if (eq <= 0) continue;
+    const id = line.slice(0, eq).trim();
+    const name = line.slice(eq + 1).trim();
+    if (id && name) out.set(id, name);
+  }
   return out;
 }
 
+function deviceKeyFor(deviceId, remoteIp) {
+  return deviceId || `ip-${remoteIp || "unknown"}`;
+}
+
+// Lumia variable names only like [a-z0-9_].
+function deviceSlug(key) {
+  const s = String(key || "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  return s || "unknown";
+}
+
 // ---------------- plugin ----------------
 module.exports = class LumiConBridgeIntegratedV52 extends Plugin {
   constructor(manifest, context) {
     super(manifest, context);
 
     this._server = null;
+    this._httpsServer = null;
 
-    // Dedupe: deviceId -> last processed seq
-    this._lastSeqByDevice = new Map();
+    // Listener lifecycle: HTTP port actually in use, pending retry (with its attempt count), and a generation
+    // bumped by _stopServer so a start that finishes after a stop closes what it opened
+    this._listeningPort = 0;
+    this._listenRetryTimer = null;
+    this._listenAttempts = 0;
+    this._listenGeneration = 0;
 
-    // Device status cache
+    // Device registry: device key (deviceId, or IP for legacy {event:N} devices) -> state
+    this._devices = new Map();
+    this._deviceNames = new Map();
+
+    // Aggregate status cache (global variables follow the most recently active device)
     this._deviceConnected = false;
-    this._deviceId = "";
-    this._deviceIp = "";
-    this._lastRssi = 0;
-    this._lastSeenMs = 0;
+    this._activeDeviceKey = "";
     this._lastStatusText = "";
+    this._lastDevicesSummary = "";
 
     // Offline timer
     this._statusTimer = null;
 
     // Key labels
-    this._labelsShort = new Array(36).fill("");
-    this._labelsLong = new Array(36).fill("");
-    this._labelsFallback = new Array(36).fill("");
+    this._labelsShort = new Array(MAX_KEY_COUNT).fill("");
+    this._labelsLong = new Array(MAX_KEY_COUNT).fill("");
+    this._labelsFallback = new Array(MAX_KEY_COUNT).fill("");
+    this._labelsTier3 = new Array(MAX_KEY_COUNT).fill("");
+    this._labelsTier4 = new Array(MAX_KEY_COUNT).fill("");
+
+    // Layers (empty = single layer). The active layer is tracked per device.
+    this._layers = [];
+
+    // Toggle keys: id -> label, and id -> on/off (persisted in the hidden toggleStates setting)
+    this._toggleKeys = new Map();
+    this._toggleStates = {};
+
+    // Macros: macro key -> steps, and "<deviceKey>|<macro key>" -> { cancelled, wake } while running
+    this._macros = new Map();
+    this._runningMacros = new Map();
+
+    // Conditional rules: macro-style key -> rules
+    this._rules = new Map();
+
+    // Rotary dials: dial index -> running value
+    this._dialValues = new Map();
+
+    // Faders: channel -> { smoothed, published, lastAlertMs, timer }
+    this._faders = new Map();
+
+    // Key down/up phases: "<deviceKey>:<keyIndex>" -> { device, keyIndex, layer, downAtMs, repeatCount, timer }
+    this._heldKeys = new Map();
+
+    // Hold tiers (null = firmware decides short/long)
+    this._holdTiers = null;
+
+    // Chords: canonical "0+5" -> label, plus every key that takes part in one
+    this._chords = new Map();
+    this._chordKeys = new Set();
+    // deviceKey -> { presses, timer } while collecting presses for a chord
+    this._chordBuffers = new Map();
+
+    // Combos: parsed definitions, and deviceKey -> { history, held, timer }
+    this._combos = [];
+    this._comboStates = new Map();
+
+    // Double-tap: "<deviceKey>:<keyIndex>" -> { timer } while waiting for a second tap
+    this._pendingTaps = new Map();
+
+    // ESP /health polling (when baseUrl is set)
+    this._healthTimer = null;
+    this._healthPolling = false;
+    this._healthStatus = "";
+    this._healthErrorLogged = false;
+
+    // Listener protection: parsed allowlist, "ip:<addr>"/"dev:<id>"/"pair:new" -> { windowStartMs, count,
+    // bannedUntilMs }, and rejection counters (published on a short delay so a flood doesn't flood variables too)
+    this._allowedIps = null;
+    this._allowedIpsText = null;
+    this._rateBuckets = new Map();
+    this._rejections = Object.fromEntries(REJECTION_REASONS.map((r) => [r, 0]));
+    this._rejectionsTimer = null;
+
+    // Audit log of rejected requests (newest last), and the optional toast's throttle
+    this._auditLog = [];
+    this._lastAuditToastMs = 0;
+    this._auditToastsSuppressed = 0;
+
+    // Signed requests: nonce -> expiresAtMs
+    this._seenNonces = new Map();
+
+    // Pairing: deviceId -> { token, pairedAt } (persisted in the hidden deviceTokens setting),
+    // and pairId -> { deviceId, code, expiresAtMs, token } for requests waiting for confirmation
+    this._deviceTokens = {};
+    this._pendingPairs = new Map();
 
     // Toast throttling (to avoid spam)
     this._lastToastMs = 0;
@@ -109,30 +659,85 @@ module.exports = class LumiConBridgeIntegratedV52 extends Plugin {
   // ---------------- lifecycle ----------------
   async onload() {
     this._refreshKeyLabels();
+    this._refreshChords();
+    this._refreshCombos();
+    this._refreshHoldTiers();
+    this._refreshLayers();
+    this._refreshToggles();
+    this._macros = parseMacros(this.settings?.keyMacros);
+    this._rules = parseRules(this.settings?.keyRules);
+    this._refreshDeviceNames();
+    this._refreshDeviceTokens();
+    this._refreshAllowedIps();
 
     // Initial status variables
     await this.lumia.setVariable("device_connected", false);
     await this.lumia.setVariable("device_status_text", "OFFLINE");
+    await this.lumia.setVariable("devices_online", 0);
+    await this.lumia.setVariable("devices_status_text", "");
+    await this.lumia.setVariable("layer", 1);
+    await this.lumia.setVariable("layer_name", this._layerName(1));
+    await this.lumia.setVariable("dial_value", this._getDialRange().min);
+    await this.lumia.setVariable("held_keys", "");
+    await this.lumia.setVariable("paired_devices", Object.keys(this._deviceTokens).join(","));
+    await this._publishRejections();
+    for (const id of this._toggleKeys.keys()) {
+      await this.lumia.setVariable(toggleVariableName(id), this._getToggleState(id));
+    }
 
     this._startStatusTimer();
+    this._startHealthTimer();
 
     if (this._isEnabled()) await this._startServer();
+    else await this._setListenerStatus("disabled");
   }
 
   async onunload() {
     this._stopStatusTimer();
+    this._stopHealthTimer();
+    this._clearChordBuffers();
+    this._clearComboStates();
+    this._clearPendingTaps();
+    this._cancelAllMacros();
+    this._clearFaderTimers();
+    this._clearHeldKeys();
+    clearTimeout(this._rejectionsTimer);
+    this._rejectionsTimer = null;
     await this._stopServer();
   }
 
   async onsettingsupdate(settings, previousSettings) {
     this._refreshKeyLabels();
+    this._refreshChords();
+    this._refreshCombos();
+    this._refreshHoldTiers();
+    this._refreshLayers();
+    this._refreshToggles();
+    this._macros = parseMacros(this.settings?.keyMacros);
+    this._rules = parseRules(this.settings?.keyRules);
+    this._refreshDeviceNames();
+    this._refreshDeviceTokens();
+    this._refreshAllowedIps();
+
+    // Only when its target or interval changed: the plugin's own settings writes (toggle states, device
+    // tokens, certificate) land here too, and a restart polls the ESP straight away.
+    const healthChanged = ["baseUrl", "baseUrlMode", "autoDeviceId", "healthPollSec"]
+      .some((key) => String(settings?.[key] ?? "") !== String(previousSettings?.[key] ?? ""));
+    if (healthChanged) {
+      this._stopHealthTimer();
+      this._startHealthTimer();
+    }
 
     const enabledChanged = Boolean(settings?.enabled) !== Boolean(previousSettings?.enabled);
     const portChanged = Number(settings?.listenPort) !== Number(previousSettings?.listenPort);
+    const bindChanged = String(settings?.bindAddress ?? "") !== String(previousSettings?.bindAddress ?? "");
+    const httpsChanged = Boolean(settings?.httpsEnabled) !== Boolean(previousSettings?.httpsEnabled)
+      || Number(settings?.httpsPort) !== Number(previousSettings?.httpsPort);
+
+    const fallbackChanged = String(settings?.fallbackPorts ?? "") !== String(previousSettings?.fallbackPorts ?? "");
 
-    if (enabledChanged || portChanged) {
-      await this._stopServer();
-      if (this._isEnabled()) await this._startServer();
+    if (enabledChanged || portChanged || bindChanged || httpsChanged || fallbackChanged) {
+      await this._restartServer();
     }
   }
 
@@ -150,12 +755,91 @@ module.exports = class LumiConBridgeIntegratedV52 extends Plugin {
     return String(this.settings?.secret ?? "").trim();
   }
 
+  // header: X-Matrix-Secret (older firmware). hmac: signed requests only. either: accept both while migrating.
+  _authMode() {
+    const v = String(this.settings?.authMode ?? "header");
+    return v === "hmac" || v === "either" ? v : "header";
+  }
+
+  _httpsEnabled() {
+    return Boolean(this.settings?.httpsEnabled ?? false);
+  }
+
+  _getHttpsPort() {
+    const port = Number(this.settings?.httpsPort ?? 8788);
+    return Number.isInteger(port) && port > 0 && port <= 65535 && port !== this._getPort() ? port : 8788;
+  }
+
+  // Blank/invalid -> all interfaces.
+  _getBindAddress() {
+    const addr = String(this.settings?.bindAddress ?? "").trim();
+    return net.isIP(addr) ? addr : "0.0.0.0";
+  }
+
+  // Tried in order when the Listen Port is taken; never the Listen Port itself or the HTTPS port.
+  _getFallbackPorts() {
+    const port = this._getPort();
+    const httpsPort = this._httpsEnabled() ? this._getHttpsPort() : 0;
+    return parsePortList(this.settings?.fallbackPorts).filter((p) => p !== port && p !== httpsPort);
+  }
+
+  // Only re-parsed (and invalid entries only re-logged) when the text changed: unrelated settings writes land
+  // in onsettingsupdate too.
+  _refreshAllowedIps() {
+    const text = String(this.settings?.allowedIps ?? "");
+    if (text === this._allowedIpsText) return;
+    this._allowedIpsText = text;
+
+    this._allowedIps = parseAllowedIps(text);
+    if (this._allowedIps?.invalid.length) {
+      void this.lumia.log({
+        message: `[Lumi-Con v5.1] Ignoring invalid allowed IPs: ${this._allowedIps.invalid.join(", ")}`,
+        level: "warn",
+      });
+    }
+  }
+
+  // Requests per minute; 0 = no limit.
+  _getRateLimit(key, fallback) {
+    const n = Number(this.settings?.[key] ?? fallback);
+    return Number.isInteger(n) && n >= 0 && n <= 100000 ? n : fallback;
+  }
+
+  _getBanMs() {
+    const sec = Number(this.settings?.rateLimitBanSec ?? 60);
+    return Math.floor((Number.isFinite(sec) && sec >= 0 && sec <= 86400 ? sec : 60) * 1000);
+  }
+
+  _auditToastsEnabled() {
+    return Boolean(this.settings?.auditToasts ?? false);
+  }
+
+  _pairingEnabled() {
+    return Boolean(this.settings?.pairingEnabled ?? false);
+  }
+
+  _refreshDeviceTokens() {
+    const saved = readJsonSetting(this.settings?.deviceTokens, {});
+    this._deviceTokens = saved && typeof saved === "object" && !Array.isArray(saved) ? { ...saved } : {};
+  }
+
+  _getSignatureSkewSec() {
+    const sec = Number(this.settings?.signatureSkewSec ?? 120);
+    return Number.isFinite(sec) && sec >= 10 && sec <= 3600 ? Math.floor(sec) : 120;
+  }
+
   _getOfflineTimeoutMs() {
     const sec = Number(this.settings?.offlineTimeoutSec ?? 30);
     const safeSec = Number.isFinite(sec) && sec >= 5 ? sec : 30;
     return Math.floor(safeSec * 1000);
   }
 
+  // Configured layout (used until a device advertises its own rows/cols).
+  _getLayout() {
+    const layout = normalizeLayout(this.settings?.matrixRows ?? DEFAULT_ROWS, this.settings?.matrixCols ?? DEFAULT_COLS);
+    return layout ?? normalizeLayout(DEFAULT_ROWS, DEFAULT_COLS);
+  }
+
   _debugToastsEnabled() {
     return Boolean(this.settings?.debugToasts ?? false);
   }
@@ -165,18 +849,168 @@ module.exports = class LumiConBridgeIntegratedV52 extends Plugin {
     return v === "verbose" ? "verbose" : "important";
   }
 
+  _getChordWindowMs() {
+    const ms = Number(this.settings?.chordWindowMs ?? 150);
+    return Number.isFinite(ms) && ms >= 20 && ms <= 1000 ? Math.floor(ms) : 150;
+  }
+
+  _getComboWindowMs() {
+    const ms = Number(this.settings?.comboWindowMs ?? 3000);
+    return Number.isFinite(ms) && ms >= 200 && ms <= 30000 ? Math.floor(ms) : 3000;
+  }
+
+  _doubleTapEnabled() {
+    return Boolean(this.settings?.doubleTapEnabled ?? false);
+  }
+
+  _getDoubleTapWindowMs() {
+    const ms = Number(this.settings?.doubleTapWindowMs ?? 300);
+    return Number.isFinite(ms) && ms >= 50 && ms <= 2000 ? Math.floor(ms) : 300;
+  }
+
+  _doubleTapMode() {
+    const v = String(this.settings?.doubleTapMode ?? "wait");
+    return v === "immediate" ? "immediate" : "wait";
+  }
+
+  // { min, max, step } for dial_value; a bad range falls back to 0..100 step 1.
+  _getDialRange() {
+    const min = Number(this.settings?.dialMin ?? 0);
+    const max = Number(this.settings?.dialMax ?? 100);
+    const step = Number(this.settings?.dialStep ?? 1);
+    if (!Number.isFinite(min) || !Number.isFinite(max) || max <= min) return { min: 0, max: 100, step: 1 };
+    return { min, max, step: Number.isFinite(step) && step > 0 ? step : 1 };
+  }
+
+  // 0 = raw readings, 0.9 = heavy smoothing (weight kept from the previous value).
+  _getFaderSmoothing() {
+    const v = Number(this.settings?.faderSmoothing ?? 0.5);
+    return Number.isFinite(v) && v >= 0 && v <= 0.95 ? v : 0.5;
+  }
+
+  _getFaderThreshold() {
+    const v = Number(this.settings?.faderThreshold ?? 0.01);
+    return Number.isFinite(v) && v >= 0 && v <= 0.5 ? v : 0.01;
+  }
+
+  _getFaderAlertIntervalMs() {
+    const ms = Number(this.settings?.faderAlertIntervalMs ?? 250);
+    return Number.isFinite(ms) && ms >= 0 && ms <= 10000 ? Math.floor(ms) : 250;
+  }
+
+  _getBatchMaxAgeMs() {
+    const sec = Number(this.settings?.batchMaxAgeSec ?? 60);
+    return Math.floor((Number.isFinite(sec) && sec >= 1 && sec <= 86400 ? sec : 60) * 1000);
+  }
+
+  _batchExpiredMode() {
+    const v = String(this.settings?.batchExpiredMode ?? "drop");
+    return v === "flag" ? "flag" : "drop";
+  }
+
+  // 0 disables polling.
+  _getHealthPollMs() {
+    const sec = Number(this.settings?.healthPollSec ?? 15);
+    if (sec === 0) return 0;
+    return Math.floor((Number.isFinite(sec) && sec >= 5 && sec <= 3600 ? sec : 15) * 1000);
+  }
+
+  _keyRepeatEnabled() {
+    return Boolean(this.settings?.keyRepeatEnabled ?? false);
+  }
+
+  _getKeyRepeatDelayMs() {
+    const ms = Number(this.settings?.keyRepeatDelayMs ?? 500);
+    return Number.isFinite(ms) && ms >= 100 && ms <= 5000 ? Math.floor(ms) : 500;
+  }
+
+  _getKeyRepeatIntervalMs() {
+    const ms = Number(this.settings?.keyRepeatIntervalMs ?? 100);
+    return Number.isFinite(ms) && ms >= 30 && ms <= 5000 ? Math.floor(ms) : 100;
+  }
+
   _refreshKeyLabels() {
     // v4+ supports separate short/long lists. Keep v3 fallback support.
     this._labelsShort = parseKeyLabels(this.settings?.keyLabelsShort);
     this._labelsLong = parseKeyLabels(this.settings?.keyLabelsLong);
     this._labelsFallback = parseKeyLabels(this.settings?.keyLabels);
+    this._labelsTier3 = parseKeyLabels(this.settings?.keyLabelsTier3);
+    this._labelsTier4 = parseKeyLabels(this.settings?.keyLabelsTier4);
+  }
+
+  _refreshChords() {
+    this._chords = parseChords(this.settings?.chords);
+    this._chordKeys = new Set([...this._chords.keys()].flatMap((c) => c.split("+").map(Number)));
+  }
+
+  _refreshCombos() {
+    this._combos = parseCombos(this.settings?.combos, this._getComboWindowMs());
+  }
+
+  _refreshHoldTiers() {
+    const mode = String(this.settings?.holdMode ?? "firmware");
+    this._holdTiers = mode === "tiers" ? parseHoldTiers(this.settings?.holdTiers) : null;
+  }
+
+  // Picks { tier, kind } for a press. Tier mode classifies held_ms; without it (or without heldMs from
+  // the device) the firmware's event >= keyCount split decides.
+  _classifyHold(isLong, heldMs) {
+    const tiers = this._holdTiers;
+    if (!tiers || heldMs === null) {
+      const tier = isLong ? 2 : 1;
+      return { tier, kind: (tiers ?? FIRMWARE_TIERS)[tier - 1].name };
+    }
+
+    let tier = 1;
+    tiers.forEach((t, i) => {
+      if (heldMs >= t.minMs) tier = i + 1;
+    });
+    return { tier, kind: tiers[tier - 1].name };
+  }
+
+  _refreshLayers() {
+    this._layers = parseLayers(this.settings?.layers);
+    for (const device of this._devices.values()) {
+      if (device.layer > Math.max(1, this._layers.length)) device.layer = 1;
+    }
+  }
+
+  _refreshToggles() {
+    this._toggleKeys = parseToggleKeys(this.settings?.toggleKeys);
+    const saved = readJsonSetting(this.settings?.toggleStates, {});
+    this._toggleStates = saved && typeof saved === "object" && !Array.isArray(saved) ? { ...saved } : {};
+  }
+
+  _getToggleState(id) {
+    return Boolean(this._toggleStates[id]);
+  }
+
+  _isLayered() {
+    return this._layers.length > 1;
+  }
+
+  _layerName(layerNumber) {
+    return this._layers[layerNumber - 1]?.name ?? "";
+  }
+
+  _refreshDeviceNames() {
+    this._deviceNames = parseDeviceNames(this.settings?.deviceNames);
+    for (const device of this._devices.values()) {
+      device.name = this._deviceNames.get(device.deviceId) || device.deviceId || device.ip;
+    }
   }
 
-  _getKeyLabel(kind, keyIndex) {
+  _getKeyLabel(tier, keyIndex, layerNumber = 1) {
     const idx = Number(keyIndex);
-    if (!Number.isInteger(idx) || idx < 0 || idx >= 36) return "";
+    if (!Number.isInteger(idx) || idx < 0 || idx >= MAX_KEY_COUNT) return "";
 
-    const list = kind === "long" ? this._labelsLong : this._labelsShort;
+    // Layers with their own lists don't fall back to the settings labels (layer 2+ always has its own).
+    const layerList = this._layers[layerNumber - 1]?.labels[tier];
+    if (layerList) return layerList[idx];
+    if (layerNumber > 1) return "";
+
+    const lists = [null, this._labelsShort, this._labelsLong, this._labelsTier3, this._labelsTier4];
+    const list = lists[tier] ?? this._labelsShort;
     const picked = String(list[idx] || "").trim();
     if (picked) return picked;
 
@@ -206,35 +1040,172 @@ module.exports = class LumiConBridgeIntegratedV52 extends Plugin {
     }
   }
 
-  // ---------------- device status ----------------
-  async _setDeviceConnected(isConnected) {
-    if (this._deviceConnected === isConnected) return;
+  // ---------------- device registry ----------------
+  _getDevice(deviceId, remoteIp) {
+    const key = deviceKeyFor(deviceId, remoteIp);
+    let device = this._devices.get(key);
+    if (!device) {
+      device = {
+        key,
+        slug: deviceSlug(key),
+        deviceId,
+        name: this._deviceNames.get(deviceId) || deviceId || remoteIp,
+        ip: remoteIp,
+        rssi: 0,
+        lastSeenMs: 0,
+        seqWindow: createSeqWindow(),
+        bootId: "",
+        uptimeMs: null,
+        uptimeAtMs: 0,
+        firmware: "",
+        mode: "",
+        lastHeartbeatMs: 0,
+        lastHealthMs: 0,
+        confirmedBaseUrl: "",
+        rebootCount: 0,
+        layout: null,
+        layer: 1,
+        connected: false,
+        statusText: "",
+      };
+      this._devices.set(key, device);
+      if (deviceId) void this._refreshAutoDeviceOptions();
+    }
+    return device;
+  }
 
-    this._deviceConnected = isConnected;
-    await this.lumia.setVariable("device_connected", isConnected);
+  async _setDeviceVariable(device, name, value) {
+    await this.lumia.setVariable(`device_${device.slug}_${name}`, value);
+  }
+
+  // ---------------- reboot detection ----------------
+  // Returns the reboot reason ("boot_id" | "uptime" | "seq_reset") or "" if the device didn't restart.
+  _detectReboot(device, { bootId, uptimeMs, seq }, nowMs) {
+    if (!device.lastSeenMs && !device.lastHealthMs) return "";
+
+    if (bootId && device.bootId) return bootId !== device.bootId ? "boot_id" : "";
+
+    // Uptime that kept counting since the last report (give or take the slack) rules a restart out; going below
+    // the last report is one. Anything else (lower than expected but not below the last report, e.g. a restart
+    // long after that report, or higher than expected) can't tell either way, so the seq check below decides.
+    if (uptimeMs !== null && device.uptimeMs !== null) {
+      if (uptimeMs + UPTIME_SLACK_MS < device.uptimeMs) return "uptime";
+      if (Math.abs(uptimeMs - this._deviceUptimeMs(device, nowMs)) <= UPTIME_SLACK_MS) return "";
+    }
+
+    // A late (never processed) seq is normal out-of-order delivery, not a restart.
+    const silentMs = nowMs - device.lastSeenMs;
+    if (seq === null || !device.seqWindow.maxSeq || silentMs <= SEQ_RESET_GAP_MS) return "";
+    const seqState = classifySeq(device.seqWindow, seq);
+    return seqState === "duplicate" || seqState === "stale" ? "seq_reset" : "";
+  }
+
+  // Records boot info from any device message; on reboot resets dedupe and raises device_rebooted.
+  async _trackDeviceBoot(device, info, nowMs) {
+    const reason = this._detectReboot(device, info, nowMs);
+
+    if (info.bootId) device.bootId = info.bootId;
+    if (info.uptimeMs !== null && (reason || device.uptimeMs === null || info.uptimeMs >= device.uptimeMs)) {
+      device.uptimeMs = info.uptimeMs;
+      device.uptimeAtMs = nowMs;
+    }
+
+    if (!reason) return false;
+
+    device.seqWindow = createSeqWindow();
+    device.rebootCount += 1;
+    await this._releaseHeldKeys(device, "reboot");
+
+    const rebootedAt = new Date(nowMs).toISOString();
+    await this.lumia.setVariable("device_reboot_count", device.rebootCount);
+    await this.lumia.setVariable("device_last_reboot", rebootedAt);
+    await this.lumia.setVariable("device_reboot_reason", reason);
+    await this._setDeviceVariable(device, "reboot_count", device.rebootCount);
+    await this._setDeviceVariable(device, "last_reboot", rebootedAt);
+
+    await this._toast(`Lumi-Con rebooted${device.name ? ` (${device.name})` : ""}`, 2500, false);
+
+    await this.lumia.triggerAlert({
+      alert: "device_rebooted",
+      extraSettings: {
+        device_id: device.deviceId,
+        device_name: device.name,
+        device_ip: device.ip,
+        device_reboot_count: device.rebootCount,
+        device_last_reboot: rebootedAt,
+        device_reboot_reason: reason,
+        uptime_ms: info.uptimeMs ?? 0,
+      },
+    });
+    return true;
+  }
+
+  // ---------------- device status ----------------
+  async _setDeviceConnected(device, isConnected) {
+    if (device.connected === isConnected) return;
+
+    device.connected = isConnected;
+    await this._setDeviceVariable(device, "connected", isConnected);
+    if (!isConnected) await this._releaseHeldKeys(device, "offline");
+
+    // Global flag: true while any device is connected.
+    const anyConnected = [...this._devices.values()].some((d) => d.connected);
+    if (anyConnected !== this._deviceConnected) {
+      this._deviceConnected = anyConnected;
+      await this.lumia.setVariable("device_connected", anyConnected);
+    }
 
     // Important toast on state change
+    const who = this._devices.size > 1 && device.name ? ` (${device.name})` : "";
     if (isConnected) {
-      await this._toast("Lumi-Con connected", 2500, false);
+      await this._toast(`Lumi-Con connected${who}`, 2500, false);
     } else {
-      await this._toast("Lumi-Con offline", 2500, false);
+      await this._toast(`Lumi-Con offline${who}`, 2500, false);
     }
   }
 
-  _formatStatusText(nowMs) {
-    if (!this._deviceConnected || !this._lastSeenMs) return "OFFLINE";
+  _formatStatusText(device, nowMs) {
+    if (!device || !device.connected || !device.lastSeenMs) return "OFFLINE";
 
-    const ageSec = msToAgeSeconds(nowMs - this._lastSeenMs);
-    const rssi = Number(this._lastRssi);
+    const ageSec = msToAgeSeconds(nowMs - device.lastSeenMs);
+    const rssi = Number(device.rssi);
     const rssiPart = Number.isFinite(rssi) && rssi !== 0 ? `RSSI ${rssi}` : "RSSI ?";
-    return `CONNECTED | ${rssiPart} | ${ageSec}s ago`;
+
+    // Uptime/mode only show once the device reports them (heartbeats), so older firmware keeps the short text.
+    const parts = ["CONNECTED", rssiPart];
+    if (device.uptimeMs !== null) parts.push(`up ${formatUptime(this._deviceUptimeMs(device, nowMs))}`);
+    if (device.mode) parts.push(device.mode);
+    parts.push(`${ageSec}s ago`);
+    return parts.join(" | ");
+  }
+
+  // Last reported uptime plus the time since it was reported.
+  _deviceUptimeMs(device, nowMs) {
+    return device.uptimeMs === null ? 0 : device.uptimeMs + Math.max(0, nowMs - device.uptimeAtMs);
   }
 
   async _updateDeviceStatusText(nowMs, force = false) {
-    const text = this._formatStatusText(nowMs);
-    if (!force && text === this._lastStatusText) return;
-    this._lastStatusText = text;
-    await this.lumia.setVariable("device_status_text", text);
+    for (const device of this._devices.values()) {
+      const deviceText = this._formatStatusText(device, nowMs);
+      if (force || deviceText !== device.statusText) {
+        device.statusText = deviceText;
+        await this._setDeviceVariable(device, "status_text", deviceText);
+      }
+    }
+
+    const text = this._formatStatusText(this._devices.get(this._activeDeviceKey), nowMs);
+    if (force || text !== this._lastStatusText) {
+      this._lastStatusText = text;
+      await this.lumia.setVariable("device_status_text", text);
+    }
+
+    const devices = [...this._devices.values()];
+    const summary = devices.map((d) => `${d.name || d.key}: ${d.statusText}`).join(" ; ");
+    if (force || summary !== this._lastDevicesSummary) {
+      this._lastDevicesSummary = summary;
+      await this.lumia.setVariable("devices_status_text", summary);
+      await this.lumia.setVariable("devices_online", devices.filter((d) => d.connected).length);
+    }
   }
 
   _startStatusTimer() {
@@ -253,8 +1224,13 @@ module.exports = class LumiConBridgeIntegratedV52 extends Plugin {
       const nowMs = safeNowMs();
       const offlineMs = this._getOfflineTimeoutMs();
 
-      if (this._deviceConnected && this._lastSeenMs && (nowMs - this._lastSeenMs) > offlineMs) {
-        await this._setDeviceConnected(false);
+      this._pruneRateBuckets(nowMs);
+
+      // Each device has its own offline window.
+      for (const device of this._devices.values()) {
+        if (device.connected && device.lastSeenMs && (nowMs - device.lastSeenMs) > offlineMs) {
+          await this._setDeviceConnected(device, false);
+        }
       }
 
       await this._updateDeviceStatusText(nowMs);
@@ -263,28 +1239,1067 @@ module.exports = class LumiConBridgeIntegratedV52 extends Plugin {
     }
   }
 
-  // ---------------- TFT actions (plugin -> ESP) ----------------
-  async actions(config) {
-    const baseUrl = normalizeBaseUrl(this.settings?.baseUrl);
-    const timeoutMs = Number(this.settings?.timeoutMs ?? 2000);
+  // ---------------- ESP health polling ----------------
+  _startHealthTimer() {
+    if (this._healthTimer) return;
+    if (!this._displayConfigured() || !this._getHealthPollMs()) return;
+    this._healthErrorLogged = false;
+    this._healthTimer = setInterval(() => void this._pollHealth(), this._getHealthPollMs());
+    void this._pollHealth();
+  }
 
-    const uiMode = String(this.settings?.uiMode ?? "legacy_get");
-    const msgPath = normalizePath(this.settings?.msgPath ?? "/msg");
-    const statusPath = normalizePath(this.settings?.statusPath ?? "/status");
-    const clearPath = normalizePath(this.settings?.clearPath ?? "/clear");
-    const uiPath = normalizePath(this.settings?.uiPath ?? "/ui");
+  _stopHealthTimer() {
+    if (!this._healthTimer) return;
+    clearInterval(this._healthTimer);
+    this._healthTimer = null;
+  }
+
+  async _pollHealth() {
+    if (this._healthPolling) return;
+    this._healthPolling = true;
+
+    try {
+      const baseUrl = await this._resolveBaseUrl();
+      if (!baseUrl) return;
+
+      let health = null;
+      try {
+        const body = await httpGet(joinUrl(baseUrl, "/health"), Number(this.settings?.timeoutMs ?? 2000));
+        health = JSON.parse(body);
+      } catch {
+        health = null;
+      }
+
+      const nowMs = safeNowMs();
+      await this.lumia.setVariable("esp_last_poll", new Date(nowMs).toISOString());
+
+      if (!health || health.ok !== true) {
+        await this.lumia.setVariable("esp_reachable", false);
+        await this._setHealthStatus("UNREACHABLE");
+        return;
+      }
+
+      const uptimeMs = Number.isFinite(health.uptimeMs) ? Number(health.uptimeMs) : null;
+      const lastSeq = Number.isFinite(health.lastSeq) ? Number(health.lastSeq) : 0;
+      const lastPostOk = health.lastPostOk === true;
+
+      await this.lumia.setVariable("esp_reachable", true);
+      await this.lumia.setVariable("esp_device_id", String(health.deviceId ?? ""));
+      await this.lumia.setVariable("esp_mode", String(health.mode ?? ""));
+      await this.lumia.setVariable("esp_rssi", Number(health.rssi) || 0);
+      await this.lumia.setVariable("esp_uptime_ms", uptimeMs ?? 0);
+      await this.lumia.setVariable("esp_uptime", uptimeMs === null ? "" : formatUptime(uptimeMs));
+      await this.lumia.setVariable("esp_last_key", String(health.lastKey ?? ""));
+      await this.lumia.setVariable("esp_last_seq", lastSeq);
+      await this.lumia.setVariable("esp_last_ack", Number(health.lastAck) || 0);
+      await this.lumia.setVariable("esp_last_post_ok", lastPostOk);
+
+      // Same reboot bookkeeping as events/heartbeats, so one restart is only counted once.
+      const host = String(health.ip ?? "");
+      const device = health.deviceId ? this._getDevice(String(health.deviceId), host) : this._devices.get(this._activeDeviceKey);
+      if (device && uptimeMs !== null) {
+        device.lastHealthMs = nowMs;
+        await this._trackDeviceBoot(device, { bootId: "", uptimeMs, seq: null }, nowMs);
+      }
+
+      // lastPostOk starts false on the ESP; it only means something once it has sent an event.
+      await this._setHealthStatus(lastSeq > 0 && !lastPostOk ? "CANT_REACH_PLUGIN" : "OK");
+    } catch (error) {
+      // Runs from a timer: log once until the poller restarts instead of every interval.
+      if (!this._healthErrorLogged) {
+        this._healthErrorLogged = true;
+        const message = error instanceof Error ? error.message : String(error);
+        void Promise.resolve()
+          .then(() => this.lumia.log({ message: `[Lumi-Con v5.1] Health poll failed: ${message}`, level: "error" }))
+          .catch(() => {
+            // silent: nothing left to report to
+          });
+      }
+    } finally {
+      this._healthPolling = false;
+    }
+  }
+
+  async _setHealthStatus(status) {
+    if (status === this._healthStatus) return;
+    const previous = this._healthStatus;
+    this._healthStatus = status;
+
+    await this.lumia.setVariable("esp_health_status", status);
+    await this.lumia.setVariable("esp_cant_reach_plugin", status === "CANT_REACH_PLUGIN");
+
+    if (status === "CANT_REACH_PLUGIN") {
+      await this._toast("Lumi-Con can't reach the plugin (check PLUGIN_HOST / firewall)", 4000, false);
+    } else if (status === "UNREACHABLE" && previous) {
+      await this._toast("Lumi-Con /health not reachable (check ESP Base URL)", 4000, false);
+    }
+  }
+
+  // ---------------- key pipeline ----------------
+  // Every accepted press lands here. Gesture stages may hold a press back before it reaches _dispatchPress:
+  // chord grouping first, then combos, then double tap.
+  async _handlePress(press) {
+    if (await this._handleLayerSwitch(press)) return;
+
+    // Replayed batch items arrive back to back, so their arrival says nothing about how far apart they were
+    // pressed: they skip the timing-based stages (chords, combos, double tap) and fire as plain presses.
+    if (press.replayed) {
+      await this._flushChordBuffer(press.device.key);
+      return this._dispatchPress(press);
+    }
+
+    if (press.tier === 1 && this._chordKeys.has(press.keyIndex)) return this._handleChordPress(press);
+
+    await this._flushChordBuffer(press.device.key);
+    return this._handleSinglePress(press);
+  }
+
+  async _handleSinglePress(press) {
+    if (this._combos.length) return this._handleComboPress(press);
+    return this._handleTapStage(press);
+  }
+
+  async _handleTapStage(press) {
+    if (press.tier === 1 && this._doubleTapEnabled()) return this._handleTap(press);
+    return this._dispatchPress(press);
+  }
+
+  // Short presses of chord keys from one device are collected for chordWindowMs (from the first press).
+  // A configured chord fires matrix_chord; anything else is released as normal presses.
+  async _handleChordPress(press) {
+    const deviceKey = press.device.key;
+    let buffer = this._chordBuffers.get(deviceKey);
+
+    // Same key twice can't be a chord: settle what we have and start over.
+    if (buffer && buffer.presses.some((p) => p.keyIndex === press.keyIndex)) {
+      await this._flushChordBuffer(deviceKey);
+      buffer = null;
+    }
+
+    if (!buffer) {
+      buffer = { presses: [], timer: null };
+      buffer.timer = this._defer(() => this._flushChordBuffer(deviceKey), this._getChordWindowMs());
+      this._chordBuffers.set(deviceKey, buffer);
+    }
+    buffer.presses.push(press);
+
+    // Fire early once the keys form a chord that no bigger chord could still grow into.
+    const keys = chordKeysFrom(buffer.presses.map((p) => p.keyIndex));
+    if (keys && this._chords.has(keys.join("+")) && !this._chordCanGrow(keys)) {
+      await this._flushChordBuffer(deviceKey);
+    }
+  }
+
+  _chordCanGrow(keys) {
+    for (const chord of this._chords.keys()) {
+      const chordKeys = chord.split("+").map(Number);
+      if (chordKeys.length > keys.length && keys.every((k) => chordKeys.includes(k))) return true;
+    }
+    return false;
+  }
+
+  async _flushChordBuffer(deviceKey) {
+    const buffer = this._chordBuffers.get(deviceKey);
+    if (!buffer) return;
+
+    clearTimeout(buffer.timer);
+    this._chordBuffers.delete(deviceKey);
+
+    const keys = chordKeysFrom(buffer.presses.map((p) => p.keyIndex));
+    const chord = keys ? keys.join("+") : "";
+    if (chord && this._chords.has(chord)) return this._fireChordAlert(buffer.presses, chord);
+
+    for (const press of buffer.presses) await this._handleSinglePress(press);
+  }
+
+  _clearChordBuffers() {
+    for (const buffer of this._chordBuffers.values()) clearTimeout(buffer.timer);
+    this._chordBuffers.clear();
+  }
+
+  async _fireChordAlert(presses, chord) {
+    const { device, receivedAt } = presses[presses.length - 1];
+    const label = this._chords.get(chord) || "";
+
+    await this.lumia.setVariable("chord_keys", chord);
+    await this.lumia.setVariable("chord_label", label);
+    await this.lumia.setVariable("kind", "chord");
+    await this.lumia.setVariable("received_at", receivedAt);
+
+    if (this._toastVerbosity() === "verbose") {
+      await this._toast(`Input: ${label || `Chord ${chord}`} (chord)`, 1200, true);
+    }
+
+    await this.lumia.triggerAlert({
+      alert: "matrix_chord",
+      dynamic: { value: chord },
+      extraSettings: {
+        chord_keys: chord,
+        chord_label: label,
+        kind: "chord",
+        received_at: receivedAt,
+        device_id: device.deviceId,
+        device_name: device.name,
+        device_ip: device.ip,
+        device_rssi: device.rssi,
+        device_connected: device.connected,
+      },
+    });
+  }
+
+  // Tracks recent presses per device. A finished combo fires matrix_combo. While the presses so far could
+  // still become a "suppress" combo they are held back, and released as normal presses if it doesn't complete.
+  async _handleComboPress(press) {
+    const deviceKey = press.device.key;
+    let state = this._comboStates.get(deviceKey);
+    if (!state) {
+      state = { history: [], held: [], timer: null };
+      this._comboStates.set(deviceKey, state);
+    }
+
+    const maxSteps = Math.max(...this._combos.map((c) => c.steps.length));
+    state.history.push(press);
+    if (state.history.length > maxSteps) state.history.shift();
+
+    const completed = this._findCompletedCombo(state.history, press.atMs);
+    if (completed) {
+      clearTimeout(state.timer);
+      const held = state.held;
+      state.history = [];
+      state.held = [];
+
+      // Held presses that came before the combo's own presses still fire normally.
+      const own = completed.suppress ? completed.steps.length - 1 : 0;
+      for (const p of held.slice(0, held.length - Math.min(own, held.length))) await this._handleTapStage(p);
+      if (!completed.suppress) await this._handleTapStage(press);
+
+      return this._fireComboAlert(press, completed);
+    }
+
+    // Keep the longest tail of held + this press that can still grow into a suppressing combo.
+    let candidate = [...state.held, press];
+    while (candidate.length && !this._isSuppressingComboPrefix(candidate, press.atMs)) {
+      await this._handleTapStage(candidate.shift());
+    }
+
+    clearTimeout(state.timer);
+    state.held = candidate;
+    state.timer = null;
+    if (candidate.length) {
+      const waitMs = this._comboHoldMs(candidate) - (press.atMs - candidate[0].atMs);
+      state.timer = this._defer(() => this._releaseHeldCombo(deviceKey), Math.max(0, waitMs));
+    }
+  }
+
+  // Longest combo whose steps match the end of the history within its window.
+  _findCompletedCombo(history, nowMs) {
+    let best = null;
+    for (const combo of this._combos) {
+      const n = combo.steps.length;
+      if (n > history.length) continue;
+
+      const tail = history.slice(history.length - n);
+      if (nowMs - tail[0].atMs > combo.windowMs) continue;
+      if (!tail.every((p, i) => comboToken(p) === combo.steps[i])) continue;
+
+      if (!best || n > best.steps.length) best = combo;
+    }
+    return best;
+  }
+
+  _matchingSuppressCombos(presses, nowMs) {
+    const tokens = presses.map(comboToken);
+    return this._combos.filter((c) => (
+      c.suppress &&
+      c.steps.length > tokens.length &&
+      nowMs - presses[0].atMs <= c.windowMs &&
+      tokens.every((t, i) => c.steps[i] === t)
+    ));
+  }
+
+  _isSuppressingComboPrefix(presses, nowMs) {
+    return this._matchingSuppressCombos(presses, nowMs).length > 0;
+  }
+
+  // How long held presses may wait (from the first one) before the combo is given up.
+  _comboHoldMs(presses) {
+    return Math.max(...this._matchingSuppressCombos(presses, presses[presses.length - 1].atMs).map((c) => c.windowMs));
+  }
+
+  async _releaseHeldCombo(deviceKey) {
+    const state = this._comboStates.get(deviceKey);
+    if (!state) return;
+
+    const held = state.held;
+    state.held = [];
+    state.timer = null;
+    for (const press of held) await this._handleTapStage(press);
+  }
+
+  _clearComboStates() {
+    for (const state of this._comboStates.values()) clearTimeout(state.timer);
+    this._comboStates.clear();
+  }
+
+  async _fireComboAlert(press, combo) {
+    const { device, receivedAt } = press;
+    const comboKeys = combo.steps.join(",");
+
+    await this.lumia.setVariable("combo_name", combo.name);
+    await this.lumia.setVariable("combo_keys", comboKeys);
+    await this.lumia.setVariable("kind", "combo");
+    await this.lumia.setVariable("received_at", receivedAt);
+
+    if (this._toastVerbosity() === "verbose") {
+      await this._toast(`Input: ${combo.name} (combo)`, 1200, true);
+    }
+
+    await this.lumia.triggerAlert({
+      alert: "matrix_combo",
+      dynamic: { value: combo.name },
+      extraSettings: {
+        combo_name: combo.name,
+        combo_keys: comboKeys,
+        kind: "combo",
+        received_at: receivedAt,
+        device_id: device.deviceId,
+        device_name: device.name,
+        device_ip: device.ip,
+        device_rssi: device.rssi,
+        device_connected: device.connected,
+      },
+    });
+  }
+
+  // ---------------- layers ----------------
+  // Switch keys are consumed (no key alert). Returns true if the press switched layers.
+  async _handleLayerSwitch(press) {
+    if (!this._isLayered()) return false;
+
+    const switches = this._layers[press.layer - 1]?.switches ?? {};
+    const target = switches[comboToken(press)];
+    if (target === undefined) return false;
+
+    const count = this._layers.length;
+    let next = 0;
+    if (target === "next") next = (press.layer % count) + 1;
+    else if (target === "prev") next = ((press.layer + count - 2) % count) + 1;
+    else if (Number.isInteger(Number(target)) && Number(target) >= 1 && Number(target) <= count) next = Number(target);
+    else next = this._layers.findIndex((l) => l.name.toLowerCase() === String(target).toLowerCase()) + 1;
+    if (!next) return false;
+
+    await this._setDeviceLayer(press.device, next);
+    return true;
+  }
+
+  async _setDeviceLayer(device, layerNumber) {
+    device.layer = layerNumber;
+    const name = this._layerName(layerNumber);
+
+    await this.lumia.setVariable("layer", layerNumber);
+    await this.lumia.setVariable("layer_name", name);
+    await this._setDeviceVariable(device, "layer", layerNumber);
+
+    if (this._toastVerbosity() === "verbose") await this._toast(`Layer: ${name}`, 1200, true);
+
+    // Show the layer on the TFT status line (same path as the "Display: Set Status" action). Deferred: the ESP
+    // can't answer this while it is still waiting for our ACK to the key press that switched the layer.
+    if (this._displayConfigured()) {
+      this._defer(async () => {
+        try {
+          await this._sendDisplay("status", `Layer: ${name}`);
+        } catch {
+          // display is optional; a missing/offline TFT must not break key handling
+        }
+      }, 0);
+    }
+  }
+
+  // "wait": the single tap fires once the window passes without a second tap.
+  // "immediate": the single tap fires right away and a second tap additionally fires matrix_double.
+  async _handleTap(press) {
+    const tapKey = `${press.device.key}:${press.keyIndex}`;
+    const pending = this._pendingTaps.get(tapKey);
+
+    if (pending) {
+      clearTimeout(pending.timer);
+      this._pendingTaps.delete(tapKey);
+      return this._dispatchPress({ ...press, kind: "double" });
+    }
+
+    const immediate = this._doubleTapMode() === "immediate";
+    const timer = this._defer(() => {
+      this._pendingTaps.delete(tapKey);
+      if (!immediate) return this._dispatchPress(press);
+    }, this._getDoubleTapWindowMs());
+    this._pendingTaps.set(tapKey, { timer });
+
+    if (immediate) await this._dispatchPress(press);
+  }
+
+  _clearPendingTaps() {
+    for (const pending of this._pendingTaps.values()) clearTimeout(pending.timer);
+    this._pendingTaps.clear();
+  }
+
+  // Final stage: decides what a (single, double or hold) press does.
+  async _dispatchPress(press) {
+    const toggleId = toggleIdFor(press.keyIndex, press.layer);
+    if (press.tier === 1 && press.kind !== "double" && this._toggleKeys.has(toggleId)) {
+      return this._pressToggle(press, toggleId);
+    }
+
+    const macroKey = macroKeyFor(press);
+    if (press.kind !== "double" && this._macros.has(macroKey)) return this._pressMacro(press, macroKey);
+
+    return this._fireKeyAlert(press);
+  }
+
+  async _fireKeyAlert(press) {
+    const extraSettings = await this._setPressVariables(press);
+    const { keyIndex, kind, tier, layer } = press;
+
+    let alert = kind === "double" ? "matrix_double" : ALERT_BY_TIER[tier];
+    let value = keyVariationValue(keyIndex, layer, this._isLayered());
+
+    // First matching rule may swap the alert and/or the variation value.
+    const rule = kind === "double" ? null : await this._matchRule(press);
+    if (rule) {
+      if (rule.alert) alert = String(rule.alert);
+      if (rule.value !== undefined) value = String(rule.value);
+      extraSettings.rule_index = rule.index;
+    }
+
+    await this.lumia.triggerAlert({ alert, dynamic: { value }, extraSettings });
+  }
+
+  // ---------------- key down/up ----------------
+  async _handleKeyPhase(device, keyIndex, phase, body, receivedAt) {
+    const id = `${device.key}:${keyIndex}`;
+    const held = this._heldKeys.get(id);
+
+    if (phase === "down") {
+      // A repeated down (e.g. a firmware retry without seq) must not restart the hold.
+      if (held) return;
+
+      const entry = { device, keyIndex, layer: device.layer, downAtMs: safeNowMs(), repeatCount: 0, timer: null };
+      this._heldKeys.set(id, entry);
+      await this._updateHeldKeysVariable();
+      await this._fireKeyPhaseAlert(entry, "down", receivedAt);
+
+      if (this._keyRepeatEnabled()) this._scheduleKeyRepeat(id, entry, this._getKeyRepeatDelayMs());
+      return;
+    }
+
+    // Up without a matching down (lost packet, plugin restart): still report it.
+    const entry = held ?? { device, keyIndex, layer: device.layer, downAtMs: null, repeatCount: 0, timer: null };
+    const bodyHeldMs = Number.isInteger(Number(body?.heldMs)) ? Number(body.heldMs) : 0;
+    await this._releaseHeldKey(id, entry, "release", receivedAt, entry.downAtMs === null ? bodyHeldMs : null);
+  }
+
+  _scheduleKeyRepeat(id, entry, delayMs) {
+    entry.timer = this._defer(async () => {
+      if (this._heldKeys.get(id) !== entry) return;
+      if (safeNowMs() - entry.downAtMs > KEY_REPEAT_MAX_MS) {
+        entry.timer = null;
+        return;
+      }
+
+      entry.repeatCount += 1;
+      this._scheduleKeyRepeat(id, entry, this._getKeyRepeatIntervalMs());
+      await this._fireKeyPhaseAlert(entry, "down", new Date().toISOString());
+    }, delayMs);
+  }
+
+  async _releaseHeldKey(id, entry, reason, receivedAt, heldMsOverride = null) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    const wasHeld = this._heldKeys.delete(id);
+    if (wasHeld) await this._updateHeldKeysVariable();
+
+    const heldMs = heldMsOverride ?? Math.max(0, safeNowMs() - entry.downAtMs);
+    await this._fireKeyPhaseAlert(entry, "up", receivedAt, { held_ms: heldMs, key_up_reason: reason });
+  }
+
+  // Offline/reboot: the device can't send "up" any more, so release everything it was holding.
+  async _releaseHeldKeys(device, reason) {
+    const receivedAt = new Date().toISOString();
+    for (const [id, entry] of [...this._heldKeys.entries()]) {
+      if (entry.device === device) await this._releaseHeldKey(id, entry, reason, receivedAt);
+    }
+  }
+
+  _clearHeldKeys() {
+    for (const entry of this._heldKeys.values()) clearTimeout(entry.timer);
+    this._heldKeys.clear();
+  }
+
+  async _updateHeldKeysVariable() {
+    await this.lumia.setVariable("held_keys", this._heldKeysText());
+  }
+
+  // "3,5": held key indexes across devices, sorted.
+  _heldKeysText() {
+    const keys = new Set([...this._heldKeys.values()].map((e) => e.keyIndex));
+    return [...keys].sort((a, b) => a - b).join(",");
+  }
+
+  async _fireKeyPhaseAlert(entry, phase, receivedAt, extra = {}) {
+    const { device, keyIndex, layer } = entry;
+
+    await this.lumia.triggerAlert({
+      alert: phase === "down" ? "matrix_key_down" : "matrix_key_up",
+      dynamic: { value: keyVariationValue(keyIndex, layer, this._isLayered()) },
+      extraSettings: {
+        event: keyIndex,
+        phase,
+        received_at: receivedAt,
+        device_id: device.deviceId,
+        device_name: device.name,
+        device_ip: device.ip,
+        device_rssi: device.rssi,
+        device_connected: device.connected,
+        layer,
+        layer_name: this._layerName(layer),
+        key_label: this._getKeyLabel(1, keyIndex, layer),
+        held_keys: this._heldKeysText(),
+        repeat_count: entry.repeatCount,
+        ...extra,
+      },
+    });
+  }
+
+  // ---------------- rotary dial ----------------
+  async _handleDialEvent(device, { dial, delta, isPush }, receivedAt) {
+    const { min, max, step } = this._getDialRange();
+    const current = this._dialValues.get(dial) ?? min;
+
+    const extraSettings = {
+      device_id: device.deviceId,
+      device_name: device.name,
+      device_ip: device.ip,
+      device_rssi: device.rssi,
+      device_connected: device.connected,
+      dial_index: dial,
+      dial_value: current,
+      received_at: receivedAt,
+    };
+
+    await this.lumia.setVariable("dial_index", dial);
+
+    if (isPush) {
+      await this.lumia.triggerAlert({ alert: "dial_press", dynamic: { value: String(dial) }, extraSettings });
+      return;
+    }
+
+    // Round to the step's precision so 0.1 steps don't drift.
+    const decimals = (String(step).split(".")[1] ?? "").length;
+    const value = Number(Math.min(max, Math.max(min, current + delta * step)).toFixed(decimals));
+    const direction = delta > 0 ? "cw" : "ccw";
+    this._dialValues.set(dial, value);
+
+    await this.lumia.setVariable("dial_value", value);
+    await this.lumia.setVariable("dial_delta", delta);
+    await this.lumia.setVariable("dial_direction", direction);
+
+    await this.lumia.triggerAlert({
+      alert: "dial_turn",
+      dynamic: { value: direction },
+      extraSettings: { ...extraSettings, dial_value: value, dial_delta: delta, dial_direction: direction },
+    });
+  }
+
+  // ---------------- faders ----------------
+  async _handleFaderEvent(device, { channel, value }, receivedAt) {
+    const state = this._faders.get(channel)
+      ?? { smoothed: null, published: null, lastAlertMs: 0, timer: null, settleTimer: null };
+    this._faders.set(channel, state);
+    state.device = device;
+    state.receivedAt = receivedAt;
+
+    // Smooth jitter, but let the ends through so the fader can reach exactly 0 and 1.
+    const smoothing = this._getFaderSmoothing();
+    state.smoothed = state.smoothed === null || value === 0 || value === 1
+      ? value
+      : state.smoothed + (1 - smoothing) * (value - state.smoothed);
+
+    // When the readings stop, land on the last one exactly, whatever the threshold.
+    clearTimeout(state.settleTimer);
+    state.settleTimer = this._defer(() => {
+      state.settleTimer = null;
+      state.smoothed = value;
+      return this._publishFader(channel, state, Math.round(value * 1000) / 1000);
+    }, FADER_SETTLE_MS);
+
+    const rounded = Math.round(state.smoothed * 1000) / 1000;
+    const atEnd = (rounded === 0 || rounded === 1) && rounded !== state.published;
+    if (state.published !== null && !atEnd && Math.abs(rounded - state.published) < this._getFaderThreshold()) return;
+
+    await this._publishFader(channel, state, rounded);
+  }
+
+  async _publishFader(channel, state, value) {
+    if (value === state.published) return;
+    state.published = value;
+
+    await this.lumia.setVariable(`fader_${channel}`, value);
+    await this.lumia.setVariable("fader_channel", channel);
+    await this.lumia.setVariable("fader_value", value);
+
+    // Rate limit the alert; a trailing alert carries the latest value once the interval has passed.
+    if (state.timer) return;
+    const waitMs = state.lastAlertMs + this._getFaderAlertIntervalMs() - safeNowMs();
+    if (waitMs <= 0) {
+      await this._fireFaderAlert(channel, state);
+      return;
+    }
+    state.timer = this._defer(() => {
+      state.timer = null;
+      return this._fireFaderAlert(channel, state);
+    }, waitMs);
+  }
+
+  async _fireFaderAlert(channel, state) {
+    state.lastAlertMs = safeNowMs();
+
+    await this.lumia.triggerAlert({
+      alert: "fader_change",
+      dynamic: { value: String(channel) },
+      extraSettings: {
+        device_id: state.device.deviceId,
+        device_name: state.device.name,
+        device_ip: state.device.ip,
+        device_rssi: state.device.rssi,
+        device_connected: state.device.connected,
+        fader_channel: channel,
+        fader_value: state.published,
+        received_at: state.receivedAt,
+      },
+    });
+  }
+
+  _clearFaderTimers() {
+    for (const state of this._faders.values()) {
+      clearTimeout(state.timer);
+      clearTimeout(state.settleTimer);
+      state.timer = null;
+      state.settleTimer = null;
+    }
+  }
+
+  // ---------------- conditional rules ----------------
+  async _matchRule(press) {
+    const rules = this._rules.get(macroKeyFor(press));
+    if (!rules) return null;
+
+    for (const [index, rule] of rules.entries()) {
+      let matched = true;
+      for (const cond of rule.if ?? []) {
+        if (!testCondition(await this._conditionValue(cond, press), cond)) {
+          matched = false;
+          break;
+        }
+      }
+      if (matched) return { ...rule, index };
+    }
+    return null;
+  }
+
+  // { var: "<lumia variable>" } or { state: "layer" | "layer_name" | "kind" | "hold_tier" | "device_status"
+  //   | "device_connected" | "device_name" | "toggle:<id>" }
+  async _conditionValue(cond, press) {
+    if (cond.var !== undefined) {
+      try {
+        return await this.lumia.getVariable(String(cond.var));
+      } catch {
+        return undefined;
+      }
+    }
+
+    const state = String(cond.state ?? "");
+    if (state.startsWith("toggle:")) return this._getToggleState(normalizeToggleId(state.slice(7)));
+
+    switch (state) {
+      case "layer":
+        return press.layer;
+      case "layer_name":
+        return this._layerName(press.layer);
+      case "kind":
+        return press.kind;
+      case "hold_tier":
+        return press.tier;
+      case "device_status":
+        return this._formatStatusText(press.device, safeNowMs());
+      case "device_connected":
+        return press.device.connected;
+      case "device_name":
+        return press.device.name;
+      default:
+        return undefined;
+    }
+  }
+
+  // Sets the per-press variables and returns them as alert extraSettings.
+  async _setPressVariables(press) {
+    const { device, keyIndex, kind, tier, layer, heldMs, seq, receivedAt } = press;
+    const layerName = this._layerName(layer);
+    const holdTier = kind === "double" ? this._classifyHold(false, null).kind : kind;
+
+    await this.lumia.setVariable("event", keyIndex);
+    await this.lumia.setVariable("kind", kind);
+    await this.lumia.setVariable("received_at", receivedAt);
+    await this.lumia.setVariable("seq", seq ?? 0);
+    await this.lumia.setVariable("held_ms", heldMs);
+    await this.lumia.setVariable("hold_tier", holdTier);
+    await this.lumia.setVariable("hold_tier_index", tier);
+
+    const keyLabel = this._getKeyLabel(tier, keyIndex, layer);
+    await this.lumia.setVariable("key_label", keyLabel);
+
+    // Verbose toast per event (optional)
+    if (this._toastVerbosity() === "verbose") {
+      const label = keyLabel ? keyLabel : `Key ${keyIndex}`;
+      await this._toast(`Input: ${label} (${kind})`, 1200, true);
+    }
+
+    return {
+      event: keyIndex,
+      kind,
+      received_at: receivedAt,
+      device_id: device.deviceId,
+      device_name: device.name,
+      device_ip: device.ip,
+      device_last_seen: new Date(device.lastSeenMs).toISOString(),
+      device_rssi: device.rssi,
+      device_connected: device.connected,
+      seq: seq ?? 0,
+      held_ms: heldMs,
+      hold_tier: holdTier,
+      hold_tier_index: tier,
+      layer,
+      layer_name: layerName,
+      key_label: keyLabel,
+      event_age_ms: press.ageMs ?? 0,
+      expired: Boolean(press.expired),
+    };
+  }
+
+  // ---------------- toggles ----------------
+  async _pressToggle(press, toggleId) {
+    const extraSettings = await this._setPressVariables(press);
+    await this._setToggle(toggleId, !this._getToggleState(toggleId), extraSettings);
+  }
+
+  // Updates + persists a toggle; fires matrix_toggle_on/off unless extraSettings is null.
+  async _setToggle(toggleId, isOn, extraSettings) {
+    this._toggleStates = { ...this._toggleStates, [toggleId]: isOn };
+    this.updateSettings({ toggleStates: this._toggleStates });
+
+    const label = this._toggleKeys.get(toggleId) || "";
+    await this.lumia.setVariable(toggleVariableName(toggleId), isOn);
+    await this.lumia.setVariable("toggle_key", toggleId);
+    await this.lumia.setVariable("toggle_label", label);
+    await this.lumia.setVariable("toggle_state", isOn);
+
+    if (!extraSettings) return;
+
+    await this.lumia.triggerAlert({
+      alert: isOn ? "matrix_toggle_on" : "matrix_toggle_off",
+      dynamic: { value: toggleId },
+      extraSettings: { ...extraSettings, toggle_key: toggleId, toggle_label: label, toggle_state: isOn },
+    });
+  }
+
+  // ---------------- macros ----------------
+  // Starts the key's macro in the background, or aborts it if it is still running.
+  async _pressMacro(press, macroKey) {
+    const runKey = `${press.device.key}|${macroKey}`;
+    await this._setPressVariables(press);
+
+    const running = this._runningMacros.get(runKey);
+    if (running) {
+      running.cancelled = true;
+      running.wake();
+      return;
+    }
+
+    const run = { cancelled: false, wake: () => {} };
+    this._runningMacros.set(runKey, run);
+    this._defer(() => this._runMacro(runKey, macroKey, run), 0);
+  }
+
+  async _runMacro(runKey, macroKey, run) {
+    await this._setMacroStatus(macroKey, "running");
+    let status = "done";
+
+    try {
+      for (const step of this._macros.get(macroKey) ?? []) {
+        if (run.cancelled) break;
+        await this._runMacroStep(step, run);
+      }
+      if (run.cancelled) status = "cancelled";
+    } catch (error) {
+      status = "error";
+      throw error;
+    } finally {
+      this._runningMacros.delete(runKey);
+      await this._setMacroStatus(macroKey, status);
+    }
+  }
+
+  async _runMacroStep(step, run) {
+    switch (step.type) {
+      case "display":
+        return this._sendDisplay("chat", String(step.text ?? ""));
+      case "status":
+        return this._sendDisplay("status", String(step.text ?? ""));
+      case "clear":
+        return this._sendDisplay("clear");
+      case "variable":
+        return this.lumia.setVariable(String(step.name), step.value ?? "");
+      case "alert":
+        return this.lumia.triggerAlert({
+          alert: String(step.alert),
+          ...(step.value !== undefined ? { dynamic: { value: String(step.value) } } : {}),
+        });
+      case "wait": {
+        const ms = Math.max(0, Number(step.ms) || 0);
+        // Cancellable sleep: pressing the key again wakes it early.
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, ms);
+          run.wake = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        run.wake = () => {};
+        return undefined;
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  async _setMacroStatus(macroKey, status) {
+    await this.lumia.setVariable("macro_key", macroKey);
+    await this.lumia.setVariable("macro_status", status);
+    if (this._toastVerbosity() === "verbose") await this._toast(`Macro ${macroKey}: ${status}`, 1200, true);
+  }
+
+  _cancelAllMacros() {
+    for (const run of this._runningMacros.values()) {
+      run.cancelled = true;
+      run.wake();
+    }
+  }
+
+  // "Set toggle" action: force a toggle from other automations (e.g. mic muted elsewhere).
+  async _setToggleFromAction(value) {
+    const toggleId = normalizeToggleId(value?.key);
+    if (!toggleId) throw new Error(`Unknown toggle key: ${value?.key ?? ""}`);
+
+    const state = String(value?.state ?? "on");
+    const isOn = state === "toggle" ? !this._getToggleState(toggleId) : state === "on";
+    const fireAlert = Boolean(value?.fireAlert ?? false);
+
+    await this._setToggle(toggleId, isOn, fireAlert ? { toggle_key: toggleId } : null);
+  }
+
+  // Runs pipeline work from a timer; failures are logged like request errors.
+  _defer(fn, ms) {
+    return setTimeout(() => {
+      Promise.resolve()
+        .then(fn)
+        .catch((error) => {
+          const message = error instanceof Error ? error.message : String(error);
+          void this.lumia.log({ message: `[Lumi-Con v5.1] ${message}`, level: "error" });
+        });
+    }, ms);
+  }
+
+  // ---------------- ESP base URL ----------------
+  _baseUrlMode() {
+    return String(this.settings?.baseUrlMode ?? "manual") === "auto" ? "auto" : "manual";
+  }
+
+  // True when display actions / health polling have somewhere to go (auto mode resolves later).
+  _displayConfigured() {
+    return this._baseUrlMode() === "auto" || Boolean(normalizeBaseUrl(this.settings?.baseUrl));
+  }
+
+  // Auto mode: the device picked in "Auto device", else the one that sent the last event.
+  _autoTargetDevice() {
+    const wanted = String(this.settings?.autoDeviceId ?? "").trim();
+    if (wanted) return this._devices.get(wanted) ?? null;
+    return this._devices.get(this._activeDeviceKey) ?? null;
+  }
+
+  // Manual: the ESP Base URL setting. Auto: http://<last seen IP> of the target device, once its /health
+  // answered with the same deviceId (so a DHCP reshuffle never sends text to some other host).
+  async _resolveBaseUrl() {
+    if (this._baseUrlMode() !== "auto") return normalizeBaseUrl(this.settings?.baseUrl);
 
+    const device = this._autoTargetDevice();
+    if (!device?.ip) return "";
+
+    const url = device.ip.includes(":") ? `http://[${device.ip}]` : `http://${device.ip}`;
+    if (device.confirmedBaseUrl === url) return url;
+
+    let health = null;
+    try {
+      health = JSON.parse(await httpGet(joinUrl(url, "/health"), Number(this.settings?.timeoutMs ?? 2000)));
+    } catch {
+      return "";
+    }
+    if (health?.ok !== true || (device.deviceId && health.deviceId !== device.deviceId)) return "";
+
+    device.confirmedBaseUrl = url;
+    await this.lumia.setVariable("esp_base_url", url);
+    return url;
+  }
+
+  // Options for the "Auto device" select: every device that has reported a deviceId.
+  async _refreshAutoDeviceOptions() {
+    const options = [{ label: "Last seen device", value: "" }];
+    for (const device of this._devices.values()) {
+      if (!device.deviceId) continue;
+      const label = device.name && device.name !== device.deviceId ? `${device.name} (${device.deviceId})` : device.deviceId;
+      options.push({ label, value: device.deviceId });
+    }
+    try {
+      await this.lumia.updateSettingsFieldOptions({ fieldKey: "autoDeviceId", options });
+    } catch {
+      // older Lumia builds: the field still accepts a typed deviceId
+    }
+  }
+
+  async refreshSettingsOptions(config) {
+    if (config?.fieldKey === "autoDeviceId") await this._refreshAutoDeviceOptions();
+  }
+
+  // ---------------- pairing ----------------
+  // POST /pair {deviceId} -> {status:"pending", code, pairId}: the ESP shows the code on its TFT.
+  // POST /pair {deviceId, pairId} again -> still pending, or {status:"paired", token} once the code was
+  // confirmed with the "Pairing: Confirm" action. The token is handed out once.
+  async _handlePairRequest(body) {
+    if (!this._pairingEnabled()) return { status: 403, payload: { ok: false, error: "Pairing is off" } };
+
+    const deviceId = typeof body?.deviceId === "string" ? body.deviceId.trim() : "";
+    if (!deviceId || deviceId.length > 64) return { status: 400, payload: { ok: false, error: "Missing deviceId" } };
+
+    const nowMs = safeNowMs();
+    this._prunePendingPairs(nowMs);
+
+    const pairId = typeof body?.pairId === "string" ? body.pairId : "";
+    const pending = pairId ? this._pendingPairs.get(pairId) : null;
+    if (pending && pending.deviceId === deviceId) {
+      if (!pending.token) {
+        return { status: 200, payload: { ok: true, status: "pending", code: pending.code, pairId } };
+      }
+      this._pendingPairs.delete(pairId);
+      return { status: 200, payload: { ok: true, status: "paired", token: pending.token } };
+    }
+
+    // /pair needs no credentials, so repeats must not re-announce: a device that asks again while its code is
+    // still waiting gets the same code back, without another toast or alert.
+    for (const [id, p] of this._pendingPairs) {
+      if (p.deviceId === deviceId && !p.token) {
+        return { status: 200, payload: { ok: true, status: "pending", code: p.code, pairId: id } };
+      }
+    }
+
+    if (this._pendingPairs.size >= MAX_PENDING_PAIRS
+      || this._checkRateLimit("pair:new", MAX_PAIR_REQUESTS_PER_MIN, 0)) {
+      return { status: 429, payload: { ok: false, error: "Too many pairing requests" } };
+    }
+
+    // A new request replaces a confirmed one the device never collected.
+    for (const [id, p] of this._pendingPairs) {
+      if (p.deviceId === deviceId) this._pendingPairs.delete(id);
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+    const newPairId = crypto.randomBytes(16).toString("hex");
+    this._pendingPairs.set(newPairId, { deviceId, code, expiresAtMs: nowMs + PAIR_CODE_TTL_MS, token: "" });
+
+    const name = this._deviceNames.get(deviceId) || deviceId;
+    await this.lumia.setVariable("pairing_code", code);
+    await this.lumia.setVariable("pairing_device_id", deviceId);
+
+    // Not a debug toast: the user needs the code to confirm, so it always shows.
+    try {
+      await this.lumia.showToast({ message: `Lumi-Con pairing: ${name} shows code ${code}`, time: 10000 });
+    } catch {
+      // the variables and alert still carry the code
+    }
+
+    await this.lumia.triggerAlert({
+      alert: "device_pair_request",
+      extraSettings: { device_id: deviceId, device_name: name, pairing_code: code, pairing_device_id: deviceId },
+    });
+
+    return { status: 200, payload: { ok: true, status: "pending", code, pairId: newPairId } };
+  }
+
+  _prunePendingPairs(nowMs) {
+    for (const [id, pending] of this._pendingPairs) {
+      if (pending.expiresAtMs <= nowMs) this._pendingPairs.delete(id);
+    }
+  }
+
+  async _confirmPairing(value) {
+    const code = String(value?.code ?? "").trim();
+    this._prunePendingPairs(safeNowMs());
+
+    const pending = [...this._pendingPairs.values()].find((p) => p.code === code && !p.token);
+    if (!code || !pending) throw new Error("No pairing request with that code (it may have expired).");
+
+    pending.token = crypto.randomBytes(24).toString("hex");
+    this._deviceTokens = { ...this._deviceTokens, [pending.deviceId]: { token: pending.token, pairedAt: new Date().toISOString() } };
+    this.updateSettings({ deviceTokens: this._deviceTokens });
+
+    await this.lumia.setVariable("pairing_code", "");
+    await this.lumia.setVariable("paired_devices", Object.keys(this._deviceTokens).join(","));
+    await this._toast(`Lumi-Con paired: ${this._deviceNames.get(pending.deviceId) || pending.deviceId}`, 2500, false);
+  }
+
+  async _revokePairing(value) {
+    const deviceId = String(value?.deviceId ?? "").trim();
+    if (!deviceId || !this._deviceTokens[deviceId]) throw new Error(`No paired device "${deviceId}".`);
+
+    this._deviceTokens = { ...this._deviceTokens };
+    delete this._deviceTokens[deviceId];
+    this.updateSettings({ deviceTokens: this._deviceTokens });
+
+    await this.lumia.setVariable("paired_devices", Object.keys(this._deviceTokens).join(","));
+    await this._toast(`Lumi-Con unpaired: ${deviceId}`, 2500, false);
+  }
+
+  // ---------------- TFT actions (plugin -> ESP) ----------------
+  async actions(config) {
     const verbosity = this._toastVerbosity();
 
     const acts = Array.isArray(config?.actions) ? config.actions : [];
     for (const action of acts) {
       const type = action?.type;
 
-      if (type === "clear_screen") {
-        if (!baseUrl) throw new Error("ESP Base URL is required for display actions.");
+      if (type === "set_toggle") {
+        await this._setToggleFromAction(action?.value);
+        continue;
+      }
 
-        if (uiMode === "ui_post") await httpPostJson(joinUrl(baseUrl, uiPath), { channel: "clear" }, timeoutMs);
-        else await httpGet(joinUrl(baseUrl, clearPath), timeoutMs);
+      if (type === "pair_confirm") {
+        await this._confirmPairing(action?.value);
+        continue;
+      }
+
+      if (type === "pair_revoke") {
+        await this._revokePairing(action?.value);
+        continue;
+      }
+
+      if (type === "clear_screen") {
+        await this._sendDisplay("clear");
 
         if (verbosity === "verbose") await this._toast("Display: clear", 1500, true);
         continue;
@@ -293,19 +2308,15 @@ module.exports = class LumiConBridgeIntegratedV52 extends Plugin {
       const msg = String(action?.value?.message ?? "").trim();
       if (!msg) continue;
 
-      if (!baseUrl) throw new Error("ESP Base URL is required for display actions.");
-
       if (type === "display_message") {
-        if (uiMode === "ui_post") await httpPostJson(joinUrl(baseUrl, uiPath), { channel: "chat", text: msg }, timeoutMs);
-        else await httpGet(`${joinUrl(baseUrl, msgPath)}?t=${encodeURIComponent(msg)}`, timeoutMs);
+        await this._sendDisplay("chat", msg);
 
         if (verbosity === "verbose") await this._toast("Display: message sent", 1500, true);
         continue;
       }
 
       if (type === "status_message") {
-        if (uiMode === "ui_post") await httpPostJson(joinUrl(baseUrl, uiPath), { channel: "status", text: msg }, timeoutMs);
-        else await httpGet(`${joinUrl(baseUrl, statusPath)}?t=${encodeURIComponent(msg)}`, timeoutMs);
+        await this._sendDisplay("status", msg);
 
         if (verbosity === "verbose") await this._toast("Display: status set", 1500, true);
         continue;
@@ -313,30 +2324,202 @@ module.exports = class LumiConBridgeIntegratedV52 extends Plugin {
     }
   }
 
+  // channel: "chat" (log line) | "status" (status line) | "clear"
+  async _sendDisplay(channel, msg = "") {
+    const baseUrl = await this._resolveBaseUrl();
+    if (!baseUrl && this._baseUrlMode() === "auto") {
+      throw new Error("Auto Base URL: no confirmed Lumi-Con yet (needs an event from the device and a matching /health).");
+    }
+    if (!baseUrl) throw new Error("ESP Base URL is required for display actions.");
+
+    const timeoutMs = Number(this.settings?.timeoutMs ?? 2000);
+    const uiMode = String(this.settings?.uiMode ?? "legacy_get");
+
+    if (uiMode === "ui_post") {
+      const uiPath = normalizePath(this.settings?.uiPath ?? "/ui");
+      const payload = channel === "clear" ? { channel } : { channel, text: msg };
+      await httpPostJson(joinUrl(baseUrl, uiPath), payload, timeoutMs);
+      return;
+    }
+
+    if (channel === "clear") {
+      await httpGet(joinUrl(baseUrl, normalizePath(this.settings?.clearPath ?? "/clear")), timeoutMs);
+      return;
+    }
+
+    const path = channel === "status"
+      ? normalizePath(this.settings?.statusPath ?? "/status")
+      : normalizePath(this.settings?.msgPath ?? "/msg");
+    await httpGet(`${joinUrl(baseUrl, path)}?t=${encodeURIComponent(msg)}`, timeoutMs);
+  }
+
   // ---------------- server ----------------
+  // Starts whichever listener isn't up yet and never throws: a failure goes to listener_status (and, the first
+  // time, a toast naming the port), and another attempt is scheduled with backoff until one works or we stop.
   async _startServer() {
-    if (this._server) return;
+    clearTimeout(this._listenRetryTimer);
+    this._listenRetryTimer = null;
+
+    const generation = this._listenGeneration;
+    const host = this._getBindAddress();
+    const handler = (req, res) => void this._handleRequest(req, res);
+    const errors = [];
+
+    if (!this._server) {
+      const port = this._getPort();
+      const fallbackPorts = this._getFallbackPorts();
+      let firstError = null;
+
+      for (const candidate of [port, ...fallbackPorts]) {
+        try {
+          const server = await this._openListener(() => http.createServer(handler), candidate, host);
+          if (generation !== this._listenGeneration) return void server.close();
+          this._server = server;
+          this._listeningPort = candidate;
+          break;
+        } catch (error) {
+          if (!firstError) firstError = error;
+          // Only a taken port is worth trying the next one for.
+          if (error?.code !== "EADDRINUSE") break;
+        }
+      }
 
-    const port = this._getPort();
-    this._server = http.createServer((req, res) => void this._handleRequest(req, res));
+      if (!this._server) {
+        const more = fallbackPorts.length && firstError?.code === "EADDRINUSE" ? " (no free fallback port either)" : "";
+        errors.push(`${describeListenError(firstError, port, host)}${more}`);
+      } else if (this._listeningPort !== port) {
+        await this._listenerToast(`Lumi-Con: port ${port} is already in use, listening on ${this._listeningPort} instead. Point the device at the new port.`);
+      }
+    }
+
+    // HTTPS runs next to plain HTTP (older firmware keeps using HTTP). A failure here must not take HTTP down.
+    if (this._httpsEnabled() && !this._httpsServer) {
+      const port = this._getHttpsPort();
+      try {
+        const { cert, key } = await this._loadTlsCert();
+        const server = await this._openListener(() => https.createServer({ cert, key }, handler), port, host);
+        if (generation !== this._listenGeneration) return void server.close();
+        this._httpsServer = server;
+      } catch (error) {
+        errors.push(`HTTPS ${describeListenError(error, port, host)}`);
+      }
+    }
+
+    if (generation !== this._listenGeneration) return;
 
+    if (!errors.length) {
+      this._listenAttempts = 0;
+      await this._setListenerStatus(`listening: ${this._listenerText()}`);
+      return;
+    }
+
+    this._listenAttempts += 1;
+    const delayMs = Math.min(LISTEN_RETRY_MAX_MS, LISTEN_RETRY_MIN_MS * 2 ** (this._listenAttempts - 1));
+    this._listenRetryTimer = this._defer(() => this._startServer(), delayMs);
+
+    const up = this._server || this._httpsServer ? ` (${this._listenerText()} is up)` : "";
+    const message = `${errors.join("; ")}${up}`;
+    await this._setListenerStatus(`error: ${message}; retrying in ${Math.round(delayMs / 1000)}s`);
+    await this.lumia.log({ message: `[Lumi-Con v5.1] Listener failed: ${message}`, level: "error" });
+    if (this._listenAttempts === 1) {
+      await this._listenerToast(`Lumi-Con can't listen: ${errors.join("; ")}. Free the port or change it in settings; retrying automatically.`);
+    }
+  }
+
+  // Resolves with the server once it listens. A server that fails to listen is dropped, never kept.
+  async _openListener(createServer, port, host) {
+    const server = createServer();
     await new Promise((resolve, reject) => {
-      this._server.once("error", reject);
-      this._server.listen(port, "0.0.0.0", () => resolve());
+      server.once("error", reject);
+      server.listen(port, host, () => resolve());
     });
+    return server;
+  }
+
+  // Stops both listeners, then starts them again if the listener is enabled.
+  async _restartServer() {
+    await this._stopServer();
+    if (this._isEnabled()) await this._startServer();
+    else await this._setListenerStatus("disabled");
+  }
+
+  _listenerText() {
+    const parts = [];
+    if (this._server) parts.push(`HTTP ${this._listeningPort}`);
+    if (this._httpsServer) parts.push(`HTTPS ${this._getHttpsPort()}`);
+    return parts.join(", ");
+  }
+
+  async _setListenerStatus(text) {
+    await this.lumia.setVariable("listener_status", text);
+    await this.lumia.setVariable("listener_port", this._server ? this._listeningPort : 0);
+  }
+
+  async _listenerToast(message) {
+    try {
+      await this.lumia.showToast({ message, time: 8000 });
+    } catch {
+      // silent: toast failures shouldn't disrupt the plugin
+    }
+  }
+
+  // Reuses the persisted certificate while it is valid; otherwise makes (and saves) a new one.
+  // Publishes its fingerprints so firmware can pin it.
+  async _loadTlsCert() {
+    const saved = readJsonSetting(this.settings?.tlsCert, {});
+    let tls = null;
+
+    try {
+      const x509 = new crypto.X509Certificate(String(saved?.cert ?? ""));
+      if (Date.parse(x509.validTo) > safeNowMs() && x509.checkPrivateKey(crypto.createPrivateKey(String(saved?.key ?? "")))) {
+        tls = { cert: saved.cert, key: saved.key };
+      }
+    } catch {
+      tls = null;
+    }
+
+    if (!tls) {
+      tls = createSelfSignedCert("Lumi-Con Bridge");
+      this.updateSettings({ tlsCert: tls });
+    }
+
+    const x509 = new crypto.X509Certificate(tls.cert);
+    await this.lumia.setVariable("tls_fingerprint_sha256", x509.fingerprint256);
+    await this.lumia.setVariable("tls_fingerprint_sha1", x509.fingerprint);
+    return tls;
   }
 
   async _stopServer() {
-    if (!this._server) return;
+    this._listenGeneration += 1;
+    clearTimeout(this._listenRetryTimer);
+    this._listenRetryTimer = null;
+    this._listenAttempts = 0;
+    this._listeningPort = 0;
 
-    const server = this._server;
+    const servers = [this._server, this._httpsServer].filter(Boolean);
     this._server = null;
+    this._httpsServer = null;
 
-    await new Promise((resolve) => server.close(() => resolve()));
+    await Promise.all(servers.map((server) => new Promise((resolve) => server.close(() => resolve()))));
   }
 
   async _handleRequest(req, res) {
+    const remoteIp = String(req.socket?.remoteAddress ?? "").replace(/^::ffff:/, "");
+    const eventRoute = req.method === "POST" && ["/event", "/events", "/heartbeat"].includes(req.url);
+
     try {
+      if (this._allowedIps && !this._isIpAllowed(remoteIp)) {
+        return this._reject(req, res, 403, "not_allowed", { ok: false, error: "Forbidden" });
+      }
+
+      // A banned IP is turned away first. Event routes are charged to the IP only once we know whether they
+      // authenticated (see _checkIpLimit); everything else is charged here.
+      if (this._isRateBanned(`ip:${remoteIp}`)) {
+        return this._reject(req, res, 429, "banned", { ok: false, error: "Too many requests" });
+      }
+      const ipLimit = eventRoute ? "" : this._checkIpLimit(remoteIp, true);
+      if (ipLimit) return this._reject(req, res, 429, ipLimit, { ok: false, error: "Too many requests" });
+
       if (req.method === "GET" && req.url === "/health") {
         return this._sendJson(res, 200, {
           ok: true,
@@ -345,125 +2528,514 @@ module.exports = class LumiConBridgeIntegratedV52 extends Plugin {
         });
       }
 
-      if (req.method !== "POST" || req.url !== "/event") {
-        return this._sendJson(res, 404, { ok: false, error: "Not found" });
+      if (req.method === "GET" && req.url === "/audit") {
+        if (!this._canReadAudit(req, remoteIp)) {
+          return this._reject(req, res, 401, "unauthorized", { ok: false, error: "Unauthorized" });
+        }
+        return this._sendJson(res, 200, { ok: true, entries: [...this._auditLog].reverse() });
       }
 
-      const expectedSecret = this._getSecret();
-      if (expectedSecret) {
-        const headerValue = String(req.headers["x-matrix-secret"] ?? "").trim();
-        if (!headerValue || headerValue !== expectedSecret) {
-          return this._sendJson(res, 401, { ok: false, error: "Unauthorized" });
-        }
+      if (req.method !== "POST" || !["/event", "/events", "/heartbeat", "/pair"].includes(req.url)) {
+        return this._reject(req, res, 404, "not_found", { ok: false, error: "Not found" });
+      }
+
+      const { raw, body } = await this._readJsonBody(req);
+
+      // Pairing requests come from devices that don't have a token yet.
+      if (req.url === "/pair") {
+        const { status, payload } = await this._handlePairRequest(body);
+        if (status >= 400) return this._reject(req, res, status, "pairing", payload, raw);
+        return this._sendJson(res, status, payload);
+      }
+
+      const authError = this._authenticate(req, raw, body);
+      if (authError) {
+        const failedLimit = this._checkIpLimit(remoteIp, true);
+        if (failedLimit) return this._reject(req, res, 429, failedLimit, { ok: false, error: "Too many requests" }, raw);
+        return this._reject(req, res, 401, "unauthorized", { ok: false, error: authError }, raw);
       }
 
-      const body = await this._readJsonBody(req);
+      // Authenticated requests are never banned, only held to their budgets (per IP, then per device, so a
+      // spoofed deviceId can't get a real device limited), and dial/fader readings don't spend them: a busy
+      // fader must not lock out the keys.
+      const analog = body?.type === "dial" || body?.type === "fader";
+      const authedIpLimit = analog ? "" : this._checkIpLimit(remoteIp, false);
+      if (authedIpLimit) {
+        return this._reject(req, res, 429, authedIpLimit, { ok: false, error: "Too many requests" }, raw);
+      }
 
-      // Backwards compat:
-      // - old devices send only {event:N}
-      // - new devices send {event:N, seq:S, deviceId:"...", rssi, heldMs ...}
-      const eventNumber = Number(body?.event);
-      const seq = Number.isInteger(Number(body?.seq)) ? Number(body.seq) : null;
       const deviceId = typeof body?.deviceId === "string" ? body.deviceId : "";
-      const heldMs = Number.isInteger(Number(body?.heldMs)) ? Number(body.heldMs) : 0;
-      const rssi = Number.isFinite(Number(body?.rssi)) ? Number(body.rssi) : 0;
+      const deviceLimit = deviceId && !analog
+        ? this._checkRateLimit(`dev:${deviceId}`, this._getRateLimit("rateLimitPerDevice", 0), 0)
+        : "";
+      if (deviceLimit) return this._reject(req, res, 429, deviceLimit, { ok: false, error: "Too many requests" }, raw);
+
+      let result;
+      if (req.url === "/heartbeat") result = await this._handleHeartbeat(body, remoteIp);
+      else if (req.url === "/events") result = await this._handleEventBatch(body, remoteIp);
+      else result = await this._handleEvent(body, remoteIp);
+
+      const { status, payload } = result;
+      if (status >= 400) return this._reject(req, res, status, "invalid", payload, raw);
+
+      // A batch answers 200 with per-item ACKs; items that failed validation still count as rejections.
+      if (req.url === "/events") {
+        const items = Array.isArray(body) ? body : body.events;
+        payload.acks.forEach((ack, i) => {
+          if (ack.ok) return;
+          this._countRejection("invalid");
+          this._audit(req, 400, "invalid", `events[${i}]: ${ack.error}`, JSON.stringify(items[i]) ?? "");
+        });
+      }
+      return this._sendJson(res, status, payload);
+    } catch (error) {
+      // Unreadable bodies (bad JSON, too large) are the sender's fault: a 4xx in the audit log, not a server error.
+      if (error?.status) {
+        const badLimit = eventRoute ? this._checkIpLimit(remoteIp, true) : "";
+        if (badLimit) return this._reject(req, res, 429, badLimit, { ok: false, error: "Too many requests" }, error.raw);
+        return this._reject(req, res, error.status, "invalid", { ok: false, error: error.message }, error.raw);
+      }
+
+      const message = error instanceof Error ? error.message : String(error);
+
+      // Keep logs minimal (best practice)
+      await this.lumia.log({ message: `[Lumi-Con v5.1] ${message}`, level: "error" });
+
+      return this._sendJson(res, 500, { ok: false, error: "Server error" });
+    }
+  }
 
-      const ackPayload = { ok: true, ...(seq !== null ? { seq } : {}) };
+  // Keeps an idle device online and refreshes RSSI/uptime/firmware/mode. Never fires key alerts
+  // (a reboot spotted from uptime/bootId is still reported).
+  // {deviceId, rssi?, uptimeMs?, bootId?, firmware?, mode?}
+  async _handleHeartbeat(body, remoteIp) {
+    const deviceId = typeof body?.deviceId === "string" ? body.deviceId : "";
+    const rssi = Number.isFinite(Number(body?.rssi)) ? Number(body.rssi) : null;
+    const uptimeMs = Number.isFinite(body?.uptimeMs) ? Number(body.uptimeMs) : null;
+    const bootId = typeof body?.bootId === "string" || Number.isFinite(body?.bootId) ? String(body.bootId) : "";
+    const firmware = String(body?.firmware ?? body?.fw ?? "").trim();
+    const mode = String(body?.mode ?? "").trim();
+
+    const device = this._getDevice(deviceId, remoteIp);
+    const nowMs = safeNowMs();
+
+    await this._trackDeviceBoot(device, { bootId, uptimeMs, seq: null }, nowMs);
+
+    device.lastSeenMs = nowMs;
+    device.lastHeartbeatMs = nowMs;
+    device.ip = remoteIp;
+    if (rssi !== null) device.rssi = rssi;
+    if (firmware) device.firmware = firmware;
+    if (mode) device.mode = mode;
+
+    // Don't steal "active device" from the deck that was pressed last.
+    if (!this._activeDeviceKey) this._activeDeviceKey = device.key;
+
+    await this._setDeviceConnected(device, true);
+
+    const seenAt = new Date(nowMs).toISOString();
+    await this._setDeviceVariable(device, "ip", remoteIp);
+    await this._setDeviceVariable(device, "rssi", device.rssi);
+    await this._setDeviceVariable(device, "last_seen", seenAt);
+    await this._setDeviceVariable(device, "firmware", device.firmware);
+    await this._setDeviceVariable(device, "mode", device.mode);
+    await this._setDeviceVariable(device, "uptime", formatUptime(this._deviceUptimeMs(device, nowMs)));
+
+    if (this._activeDeviceKey === device.key) {
+      await this.lumia.setVariable("device_rssi", device.rssi);
+      await this.lumia.setVariable("device_last_seen", seenAt);
+      await this.lumia.setVariable("device_firmware", device.firmware);
+      await this.lumia.setVariable("device_mode", device.mode);
+      await this.lumia.setVariable("device_uptime", formatUptime(this._deviceUptimeMs(device, nowMs)));
+    }
+
+    await this._updateDeviceStatusText(nowMs, true);
+
+    return { status: 200, payload: { ok: true } };
+  }
+
+  // Buffered presses replayed after a Wi-Fi drop:
+  // {deviceId, bootId?, uptimeMs?, rssi?, events:[{event, seq, heldMs?, atUptimeMs? | ageMs?}, ...]}
+  // Items run in order through _handleEvent; the response carries one ACK per item.
+  async _handleEventBatch(body, remoteIp) {
+    const items = Array.isArray(body) ? body : body?.events;
+    if (!Array.isArray(items) || items.length === 0) {
+      return { status: 400, payload: { ok: false, error: "Missing events" } };
+    }
+    if (items.length > MAX_BATCH_EVENTS) {
+      return { status: 400, payload: { ok: false, error: "Too many events" } };
+    }
 
-      if (!Number.isInteger(eventNumber) || eventNumber < EVENT_MIN || eventNumber > EVENT_MAX) {
-        return this._sendJson(res, 400, { ok: false, error: "Invalid event number", ...(seq !== null ? { seq } : {}) });
+    const shared = Array.isArray(body) ? {} : body;
+    const batchUptimeMs = Number.isFinite(shared.uptimeMs) ? Number(shared.uptimeMs) : null;
+    const maxAgeMs = this._getBatchMaxAgeMs();
+    const acks = [];
+
+    for (const item of items) {
+      if (!item || typeof item !== "object" || Array.isArray(item)) {
+        acks.push({ ok: false, error: "Invalid item" });
+        continue;
       }
 
-      // Dedupe only when we have deviceId + seq
-      if (deviceId && seq !== null) {
-        const prev = this._lastSeqByDevice.get(deviceId) ?? 0;
-        if (seq <= prev) {
-          return this._sendJson(res, 200, ackPayload);
-        }
+      // Age from device uptime (send time - press time), or an explicit ageMs.
+      let ageMs = Number.isFinite(item.ageMs) ? Math.max(0, Number(item.ageMs)) : null;
+      if (batchUptimeMs !== null && Number.isFinite(item.atUptimeMs)) ageMs = Math.max(0, batchUptimeMs - item.atUptimeMs);
+
+      // Per-item uptime would look like a reboot (it's older than the batch), so only the batch's is used.
+      const event = {
+        ...item,
+        deviceId: shared.deviceId ?? item.deviceId,
+        bootId: shared.bootId ?? item.bootId,
+        rssi: shared.rssi ?? item.rssi,
+        rows: shared.rows ?? item.rows,
+        cols: shared.cols ?? item.cols,
+        uptimeMs: batchUptimeMs ?? undefined,
+      };
+
+      const { payload } = await this._handleEvent(event, remoteIp, { ageMs, expired: ageMs !== null && ageMs > maxAgeMs });
+      acks.push(payload);
+    }
+
+    return { status: 200, payload: { ok: true, acks } };
+  }
+
+  // Runs one event payload through validation, reboot tracking, dedupe and dispatch.
+  // Returns { status, payload } for the ACK. `replay` is set for batch items: { ageMs, expired }.
+  async _handleEvent(body, remoteIp, replay = null) {
+    // Backwards compat:
+    // - old devices send only {event:N}
+    // - new devices send {event:N, seq:S, deviceId:"...", rssi, heldMs ...}
+    // - devices may also advertise their matrix size with {rows, cols}
+    // - encoders send {type:"dial", ...} (see parseDialEvent), faders {type:"fader", ...}
+    const type = String(body?.type ?? "key");
+    const seq = Number.isInteger(Number(body?.seq)) ? Number(body.seq) : null;
+    const deviceId = typeof body?.deviceId === "string" ? body.deviceId : "";
+    const heldMs = Number.isInteger(Number(body?.heldMs)) ? Number(body.heldMs) : 0;
+    const hasHeldMs = Number.isFinite(body?.heldMs);
+    const rssi = Number.isFinite(Number(body?.rssi)) ? Number(body.rssi) : 0;
+    const uptimeMs = Number.isFinite(body?.uptimeMs) ? Number(body.uptimeMs) : null;
+    const bootId = typeof body?.bootId === "string" || Number.isFinite(body?.bootId) ? String(body.bootId) : "";
+
+    const ackPayload = { ok: true, ...(seq !== null ? { seq } : {}) };
+    const reject = (error) => ({ status: 400, payload: { ok: false, error, ...(seq !== null ? { seq } : {}) } });
+
+    const advertisedLayout = normalizeLayout(body?.rows, body?.cols);
+    const knownLayout = this._devices.get(deviceKeyFor(deviceId, remoteIp))?.layout;
+    const layout = advertisedLayout ?? knownLayout ?? this._getLayout();
+
+    let eventNumber = null;
+    let phase = null;
+    let dialEvent = null;
+    let faderEvent = null;
+
+    if (type === "key") {
+      // {event:N, phase:"down"|"up"} uses the plain key index (0..keyCount-1); no phase = legacy release event.
+      phase = body?.phase === undefined ? null : String(body.phase);
+      if (phase !== null && phase !== "down" && phase !== "up") return reject("Invalid phase");
+
+      eventNumber = Number(body?.event);
+      const maxEvent = phase ? layout.keyCount : layout.keyCount * 2;
+      if (!Number.isInteger(eventNumber) || eventNumber < 0 || eventNumber >= maxEvent) {
+        return reject("Invalid event number");
       }
+    } else if (type === "dial") {
+      dialEvent = parseDialEvent(body);
+      if (!dialEvent) return reject("Invalid dial event");
+    } else if (type === "fader") {
+      faderEvent = parseFaderEvent(body);
+      if (!faderEvent) return reject("Invalid fader event");
+    } else {
+      return reject("Unknown event type");
+    }
 
-      const isLong = eventNumber >= KEY_COUNT;
-      const keyIndex = isLong ? (eventNumber - KEY_COUNT) : eventNumber;
+    const device = this._getDevice(deviceId, remoteIp);
+    if (advertisedLayout) device.layout = advertisedLayout;
 
-      const kind = isLong ? "long" : "short";
-      const alertKey = isLong ? "matrix_6x6_long" : "matrix_6x6_short";
-      const receivedAt = new Date().toISOString();
+    // Must run before dedupe: a reboot restarts the seq counter.
+    await this._trackDeviceBoot(device, { bootId, uptimeMs, seq }, safeNowMs());
 
-      // Update device cache + variables
-      const nowMs = safeNowMs();
-      const remoteIp = String(req.socket?.remoteAddress ?? "").replace(/^::ffff:/, "");
+    // Dedupe only when we have deviceId + seq. The ACK tells CONFIRMED-mode firmware what happened;
+    // duplicate/stale are still ok:true so it stops retrying.
+    if (deviceId && seq !== null) {
+      ackPayload.dedupe = classifySeq(device.seqWindow, seq);
+      if (ackPayload.dedupe === "duplicate" || ackPayload.dedupe === "stale") {
+        return { status: 200, payload: ackPayload };
+      }
+      // Marked before dispatch, so a firmware retry that arrives while this press is still being handled
+      // is a duplicate rather than a second "new" press. Unmarked again below if dispatch fails.
+      markSeqSeen(device.seqWindow, seq);
+    }
+
+    // Too old to act on: drop it (still ok:true and marked seen so retries stop) or pass it on flagged.
+    if (replay?.expired) {
+      ackPayload.expired = true;
+      if (this._batchExpiredMode() === "drop") {
+        ackPayload.dropped = true;
+        return { status: 200, payload: ackPayload };
+      }
+    }
+
+    const receivedAt = new Date().toISOString();
 
-      this._lastSeenMs = nowMs;
-      this._lastRssi = rssi;
-      this._deviceId = deviceId;
-      this._deviceIp = remoteIp;
+    // Update device cache + variables
+    const nowMs = safeNowMs();
 
-      await this._setDeviceConnected(true);
+    device.lastSeenMs = nowMs;
+    await this._setDeviceConnected(device, true);
+
+    // Dial/fader readings can stream several times a second, so they only keep the device alive; the
+    // variable and status refresh is left to key events (and the status timer).
+    if (!dialEvent && !faderEvent) {
+      device.rssi = rssi;
+      device.ip = remoteIp;
+      this._activeDeviceKey = device.key;
 
-      await this.lumia.setVariable("event", keyIndex);
-      await this.lumia.setVariable("kind", kind);
-      await this.lumia.setVariable("received_at", receivedAt);
       await this.lumia.setVariable("device_id", deviceId);
       await this.lumia.setVariable("device_ip", remoteIp);
       await this.lumia.setVariable("device_last_seen", receivedAt);
       await this.lumia.setVariable("device_rssi", rssi);
-      await this.lumia.setVariable("seq", seq ?? 0);
-      await this.lumia.setVariable("held_ms", heldMs);
+      await this.lumia.setVariable("device_name", device.name);
 
-      const keyLabel = this._getKeyLabel(kind, keyIndex);
-      await this.lumia.setVariable("key_label", keyLabel);
+      await this._setDeviceVariable(device, "ip", remoteIp);
+      await this._setDeviceVariable(device, "rssi", rssi);
+      await this._setDeviceVariable(device, "last_seen", receivedAt);
 
       await this._updateDeviceStatusText(nowMs, true);
+    }
 
-      // Verbose toast per event (optional)
-      if (this._toastVerbosity() === "verbose") {
-        const label = keyLabel ? keyLabel : `Key ${keyIndex}`;
-        await this._toast(`Input: ${label} (${kind})`, 1200, true);
+    try {
+      if (dialEvent) {
+        await this._handleDialEvent(device, dialEvent, receivedAt);
+      } else if (faderEvent) {
+        await this._handleFaderEvent(device, faderEvent, receivedAt);
+      } else if (phase) {
+        await this._handleKeyPhase(device, eventNumber, phase, body, receivedAt);
+      } else {
+        const isLong = eventNumber >= layout.keyCount;
+        const keyIndex = isLong ? (eventNumber - layout.keyCount) : eventNumber;
+        const { tier, kind } = this._classifyHold(isLong, hasHeldMs ? heldMs : null);
+
+        await this._handlePress({
+          device,
+          keyIndex,
+          kind,
+          tier,
+          layer: device.layer,
+          heldMs,
+          seq,
+          receivedAt,
+          // Device-side press time when the batch says how old it is.
+          atMs: nowMs - (replay?.ageMs ?? 0),
+          ageMs: replay?.ageMs ?? null,
+          replayed: Boolean(replay),
+          expired: Boolean(replay?.expired),
+        });
       }
+    } catch (error) {
+      if (deviceId && seq !== null) device.seqWindow.seen.delete(seq);
+      throw error;
+    }
 
-      await this.lumia.triggerAlert({
-        alert: alertKey,
-        dynamic: { value: String(keyIndex) },
-        extraSettings: {
-          event: keyIndex,
-          kind,
-          received_at: receivedAt,
-          device_id: deviceId,
-          device_ip: remoteIp,
-          device_last_seen: receivedAt,
-          device_rssi: rssi,
-          device_connected: true,
-          seq: seq ?? 0,
-          held_ms: heldMs,
-          key_label: keyLabel,
-        },
+    return { status: 200, payload: ackPayload };
+  }
+
+  // ---------------- listener protection ----------------
+  _isIpAllowed(ip) {
+    const type = net.isIPv4(ip) ? "ipv4" : net.isIPv6(ip) ? "ipv6" : "";
+    return Boolean(type) && this._allowedIps.list.check(ip, type);
+  }
+
+  // Per-IP limit. Unauthenticated requests can get the IP banned; authenticated ones are only counted.
+  _checkIpLimit(ip, canBan) {
+    return this._checkRateLimit(`ip:${ip}`, this._getRateLimit("rateLimitPerIp", 0), canBan ? this._getBanMs() : 0);
+  }
+
+  _isRateBanned(key) {
+    return (this._rateBuckets.get(key)?.bannedUntilMs ?? 0) > safeNowMs();
+  }
+
+  // Returns "" if the request may go on, "rate_limited" when it just went over (starts a ban of banMs),
+  // or "banned" while a ban lasts. banMs 0 = no ban: "rate_limited" until the window ends.
+  _checkRateLimit(key, limit, banMs) {
+    if (!limit) return "";
+
+    const nowMs = safeNowMs();
+    let bucket = this._rateBuckets.get(key);
+    if (!bucket) {
+      bucket = { windowStartMs: nowMs, count: 0, bannedUntilMs: 0 };
+      this._rateBuckets.set(key, bucket);
+    }
+
+    if (bucket.bannedUntilMs > nowMs) return "banned";
+
+    // A served ban starts a fresh window.
+    if (bucket.bannedUntilMs || nowMs - bucket.windowStartMs >= RATE_WINDOW_MS) {
+      bucket.windowStartMs = nowMs;
+      bucket.count = 0;
+      bucket.bannedUntilMs = 0;
+    }
+
+    bucket.count += 1;
+    if (bucket.count <= limit) return "";
+
+    if (banMs) bucket.bannedUntilMs = nowMs + banMs;
+    return "rate_limited";
+  }
+
+  _pruneRateBuckets(nowMs) {
+    for (const [key, bucket] of this._rateBuckets) {
+      if (bucket.bannedUntilMs <= nowMs && nowMs - bucket.windowStartMs >= RATE_WINDOW_MS) this._rateBuckets.delete(key);
+    }
+  }
+
+  _reject(req, res, status, reason, payload, raw = "") {
+    this._countRejection(reason);
+    this._audit(req, status, reason, payload?.error, raw);
+    return this._sendJson(res, status, payload);
+  }
+
+  // ---------------- audit log ----------------
+  _audit(req, status, reason, error, raw) {
+    const body = String(raw ?? "");
+    const entry = {
+      at: new Date().toISOString(),
+      ip: String(req.socket?.remoteAddress ?? "").replace(/^::ffff:/, ""),
+      method: req.method,
+      route: String(req.url ?? "").slice(0, 100),
+      status,
+      reason,
+      error: String(error ?? ""),
+      body: body.length > AUDIT_BODY_MAX ? `${body.slice(0, AUDIT_BODY_MAX)}...` : body,
+    };
+
+    this._auditLog.push(entry);
+    if (this._auditLog.length > AUDIT_LOG_SIZE) this._auditLog.shift();
+
+    if (this._auditToastsEnabled()) this._auditToast(entry);
+  }
+
+  // At most one toast per interval; the next one says how many were skipped.
+  _auditToast(entry) {
+    const nowMs = safeNowMs();
+    if (nowMs - this._lastAuditToastMs < AUDIT_TOAST_INTERVAL_MS) {
+      this._auditToastsSuppressed += 1;
+      return;
+    }
+
+    const more = this._auditToastsSuppressed ? ` (+${this._auditToastsSuppressed} more)` : "";
+    this._lastAuditToastMs = nowMs;
+    this._auditToastsSuppressed = 0;
+
+    void Promise.resolve()
+      .then(() => this.lumia.showToast({
+        message: `Lumi-Con rejected ${entry.method} ${entry.route} from ${entry.ip}: ${entry.error || entry.reason}${more}`,
+        time: 4000,
+      }))
+      .catch(() => {
+        // silent: toast failures shouldn't disrupt the plugin
       });
+  }
 
-      if (deviceId && seq !== null) {
-        this._lastSeqByDevice.set(deviceId, seq);
-      }
+  // GET /audit: from this PC, or with the Shared Secret header when one is set.
+  _canReadAudit(req, remoteIp) {
+    if (remoteIp === "127.0.0.1" || remoteIp === "::1") return true;
 
-      return this._sendJson(res, 200, ackPayload);
-    } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
+    const secret = this._getSecret();
+    if (!secret) return !this._pairingEnabled();
+    const headerValue = String(req.headers["x-matrix-secret"] ?? "").trim();
+    return Boolean(headerValue) && safeEqual(headerValue, secret);
+  }
 
-      // Keep logs minimal (best practice)
-      await this.lumia.log({ message: `[Lumi-Con v5.1] ${message}`, level: "error" });
+  _formatAuditEntry(entry) {
+    return entry ? `${entry.at} ${entry.ip} ${entry.method} ${entry.route} ${entry.status} ${entry.error || entry.reason}` : "";
+  }
 
-      return this._sendJson(res, 500, { ok: false, error: "Server error" });
+  _countRejection(reason) {
+    this._rejections[reason] = (this._rejections[reason] ?? 0) + 1;
+    if (this._rejectionsTimer) return;
+    this._rejectionsTimer = this._defer(() => {
+      this._rejectionsTimer = null;
+      return this._publishRejections();
+    }, 1000);
+  }
+
+  // "not_allowed 0 | banned 12 | rate_limited 1 | ..." plus the total.
+  async _publishRejections() {
+    const counts = REJECTION_REASONS.map((r) => `${r} ${this._rejections[r] ?? 0}`).join(" | ");
+    const total = Object.values(this._rejections).reduce((sum, n) => sum + n, 0);
+    await this.lumia.setVariable("listener_rejections", counts);
+    await this.lumia.setVariable("listener_rejected_total", total);
+    await this.lumia.setVariable("last_rejection", this._formatAuditEntry(this._auditLog[this._auditLog.length - 1]));
+  }
+
+  // Returns "" when the request may go on, else the reason for the 401.
+  // With pairing on, each deviceId's own token takes the place of the shared secret.
+  _authenticate(req, raw, body) {
+    let secret = this._getSecret();
+    if (this._pairingEnabled()) {
+      const deviceId = typeof body?.deviceId === "string" ? body.deviceId : "";
+      secret = this._deviceTokens[deviceId]?.token ?? "";
+      if (!secret) return "Device not paired";
     }
+    if (!secret) return "";
+
+    const mode = this._authMode();
+    const signature = String(req.headers["x-matrix-signature"] ?? "").trim().toLowerCase();
+    if (signature && mode !== "header") return this._verifySignature(req, raw, secret, signature);
+    if (mode === "hmac") return "Signature required";
+
+    const headerValue = String(req.headers["x-matrix-secret"] ?? "").trim();
+    return headerValue && safeEqual(headerValue, secret) ? "" : "Unauthorized";
   }
 
+  // X-Matrix-Timestamp (unix seconds), X-Matrix-Nonce, X-Matrix-Signature (see signRequest).
+  _verifySignature(req, raw, secret, signature) {
+    const timestamp = String(req.headers["x-matrix-timestamp"] ?? "").trim();
+    const nonce = String(req.headers["x-matrix-nonce"] ?? "").trim();
+    if (!/^\d{1,12}$/.test(timestamp) || !nonce || nonce.length > 64) return "Missing signature headers";
+
+    const nowMs = safeNowMs();
+    const skewSec = this._getSignatureSkewSec();
+    if (Math.abs(nowMs / 1000 - Number(timestamp)) > skewSec) return "Timestamp outside window";
+
+    if (!safeEqual(signature, signRequest(secret, timestamp, nonce, raw))) return "Bad signature";
+
+    // Only remember nonces of valid requests, so garbage can't fill the cache.
+    this._pruneNonces(nowMs);
+    if (this._seenNonces.has(nonce)) return "Replayed nonce";
+    this._seenNonces.set(nonce, nowMs + skewSec * 2000);
+    return "";
+  }
+
+  _pruneNonces(nowMs) {
+    for (const [nonce, expiresAtMs] of this._seenNonces) {
+      if (expiresAtMs > nowMs && this._seenNonces.size < NONCE_CACHE_MAX) break;
+      this._seenNonces.delete(nonce);
+    }
+  }
+
+  // Resolves { raw, body }: the raw text (needed for signatures) and the parsed JSON ({} if unparseable).
+  // Rejects with an Error carrying { status, raw } for bodies that are too large (413) or not JSON (400).
   _readJsonBody(req) {
     return new Promise((resolve, reject) => {
       let data = "";
+      let tooLarge = false;
       req.on("data", (chunk) => {
+        if (tooLarge) return;
         data += chunk;
-        if (data.length > 1024 * 16) reject(new Error("Body too large"));
+        if (data.length > 1024 * 16) {
+          tooLarge = true;
+          reject(Object.assign(new Error("Body too large"), { status: 413, raw: data }));
+        }
       });
       req.on("end", () => {
-        if (!data) return resolve({});
-        try { resolve(JSON.parse(data)); } catch { resolve({}); }
+        if (tooLarge) return;
+        if (!data) return resolve({ raw: "", body: {} });
+        try {
+          resolve({ raw: data, body: JSON.parse(data) });
+        } catch {
+          reject(Object.assign(new Error("Invalid JSON"), { status: 400, raw: data }));
+        }
       });
       req.on("error", reject);
     });
@@ -1,9 +1,10 @@
 const { Plugin } = require("@lumiastream/plugin");
 const http = require("http");
 
-const EVENT_MIN = 0;
-const EVENT_MAX = 71;
-const KEY_COUNT = 36;
+// Events 0..keyCount-1 are short presses, keyCount..2*keyCount-1 are long.
+const DEFAULT_ROWS = 6;
+const DEFAULT_COLS = 6;
+const MAX_KEY_COUNT = 64;
 
 class MatrixRelay6x6Ver extends Plugin {
 	constructor(manifest, context) {
@@ -42,6 +43,13 @@ class MatrixRelay6x6Ver extends Plugin {
 		return Number.isInteger(port) && port > 0 && port <= 65535 ? port : 8787;
 	}
 
+	_getKeyCount() {
+		const rows = Number(this.settings?.matrixRows ?? DEFAULT_ROWS);
+		const cols = Number(this.settings?.matrixCols ?? DEFAULT_COLS);
+		const valid = Number.isInteger(rows) && Number.isInteger(cols) && rows > 0 && cols > 0 && rows * cols <= MAX_KEY_COUNT;
+		return valid ? rows * cols : DEFAULT_ROWS * DEFAULT_COLS;
+	}
+
 	_getSecret() {
 		return String(this.settings?.secret ?? "").trim();
 	}
@@ -88,13 +96,14 @@ class MatrixRelay6x6Ver extends Plugin {
 
 			const body = await this._readJsonBody(req);
 			const eventNumber = Number(body?.event);
+			const keyCount = this._getKeyCount();
 
-			if (!Number.isInteger(eventNumber) || eventNumber < EVENT_MIN || eventNumber > EVENT_MAX) {
+			if (!Number.isInteger(eventNumber) || eventNumber < 0 || eventNumber >= keyCount * 2) {
 				return this._sendJson(res, 400, { ok: false, error: "Invalid event number" });
 			}
 
-			const isLong = eventNumber >= KEY_COUNT;
-			const keyIndex = isLong ? (eventNumber - KEY_COUNT) : eventNumber;
+			const isLong = eventNumber >= keyCount;
+			const keyIndex = isLong ? (eventNumber - keyCount) : eventNumber;
 
 			const kind = isLong ? "long" : "short";
 			const alertKey = isLong ? "matrix_6x6_long" : "matrix_6x6_short";